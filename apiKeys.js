@@ -0,0 +1,179 @@
+const crypto = require("crypto");
+const { v4: uuidv4 } = require("uuid");
+
+const redis = require("./redisClient");
+const { validateTenant } = require("./rateLimits");
+
+// Hash of API keys, JSON { id, name, tenant, scopes, created_at } keyed by
+// the SHA-256 of the key. The keys themselves are only shown once, when
+// they are created.
+const API_KEYS_KEY = "api_keys";
+
+// enqueue: enqueue jobs and batches, redeliver their webhooks
+// read: read jobs, batches, their events and the job types
+// cancel: cancel and delete jobs and batches
+// admin: everything, including workers, schedules, limits, retention,
+// metrics, tenants and API keys
+const API_KEY_SCOPES = ["enqueue", "read", "cancel", "admin"];
+
+// Key from the environment with the admin scope for every tenant, used to
+// create the first stored keys
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || null;
+
+const MAX_NAME_LENGTH = 128;
+
+// A browser EventSource cannot send headers, so the event streams also take
+// a token in the query string. Tokens are handed out for a key and expire
+// after a minute, a stream opened with one stays open.
+const EVENT_TOKEN_PREFIX = "event_tokens:";
+const EVENT_TOKEN_TTL = 60;
+
+const hashApiKey = (key) =>
+  crypto.createHash("sha256").update(key).digest("hex");
+
+// Check an API key sent to the API. Admin keys act for every tenant,
+// every other key for the one tenant it is created for.
+// Throws an Error with a message meant for the client on invalid input.
+const validateApiKey = ({ name, tenant, scopes } = {}) => {
+  if (
+    name !== undefined &&
+    (typeof name !== "string" || name.length > MAX_NAME_LENGTH)
+  ) {
+    throw new Error(
+      `name must be a string of at most ${MAX_NAME_LENGTH} characters`
+    );
+  }
+
+  if (
+    !Array.isArray(scopes) ||
+    scopes.length === 0 ||
+    scopes.some((scope) => !API_KEY_SCOPES.includes(scope))
+  ) {
+    throw new Error(
+      `scopes must be a non-empty list of ${API_KEY_SCOPES.join(", ")}`
+    );
+  }
+
+  if (scopes.includes("admin") && tenant !== undefined) {
+    throw new Error("Admin keys act for every tenant and take no tenant");
+  }
+
+  if (!scopes.includes("admin") && tenant === undefined) {
+    throw new Error("tenant is required unless the key has the admin scope");
+  }
+
+  return {
+    name: name || null,
+    tenant: validateTenant(tenant),
+    scopes: [...new Set(scopes)],
+  };
+};
+
+// Store a new key. Resolves to its record together with the key, which
+// cannot be looked up again.
+const createApiKey = async ({ name, tenant, scopes }) => {
+  const key = `rjs_${crypto.randomBytes(32).toString("base64url")}`;
+  const record = {
+    id: uuidv4(),
+    name,
+    tenant,
+    scopes,
+    created_at: new Date().toISOString(),
+  };
+
+  await redis.hset(API_KEYS_KEY, hashApiKey(key), JSON.stringify(record));
+  return { ...record, key };
+};
+
+const listApiKeys = async () => {
+  const records = await redis.hvals(API_KEYS_KEY);
+  return records.map((record) => JSON.parse(record));
+};
+
+// Resolves to false if there is no key with this id
+const revokeApiKey = async (id) => {
+  const keys = await redis.hgetall(API_KEYS_KEY);
+  const hash = Object.keys(keys).find(
+    (field) => JSON.parse(keys[field]).id === id
+  );
+  if (!hash) return false;
+
+  await redis.hdel(API_KEYS_KEY, hash);
+  return true;
+};
+
+// Record of the key a request was sent with, or null if it is unknown
+const findApiKey = async (key) => {
+  const hash = hashApiKey(key);
+
+  if (
+    ADMIN_API_KEY &&
+    crypto.timingSafeEqual(
+      Buffer.from(hash),
+      Buffer.from(hashApiKey(ADMIN_API_KEY))
+    )
+  ) {
+    return {
+      id: "admin",
+      name: "ADMIN_API_KEY",
+      tenant: null,
+      scopes: ["admin"],
+    };
+  }
+
+  const record = await redis.hget(API_KEYS_KEY, hash);
+  return record ? JSON.parse(record) : null;
+};
+
+// Token that opens the event streams as this key until it expires
+const createEventToken = async (apiKey) => {
+  const token = `rjs_evt_${crypto.randomBytes(32).toString("base64url")}`;
+  await redis.set(
+    `${EVENT_TOKEN_PREFIX}${hashApiKey(token)}`,
+    JSON.stringify(apiKey),
+    "EX",
+    EVENT_TOKEN_TTL
+  );
+  return { token, expiresIn: EVENT_TOKEN_TTL };
+};
+
+// Record of the key an event token was created for, or null if it is
+// unknown or expired
+const findEventToken = async (token) => {
+  const record = await redis.get(`${EVENT_TOKEN_PREFIX}${hashApiKey(token)}`);
+  return record ? JSON.parse(record) : null;
+};
+
+const hasScope = (apiKey, scope) =>
+  apiKey.scopes.includes(scope) || apiKey.scopes.includes("admin");
+
+// Whether a key may act for a tenant. A key of one tenant only acts for
+// that tenant, a key without one for any tenant or none (undefined).
+const canActFor = (apiKey, tenant) =>
+  !apiKey.tenant || tenant === undefined || tenant === apiKey.tenant;
+
+// Whether a key may see or change a job or batch given its hash. The jobs
+// of other tenants are meant to be answered as if they did not exist.
+const isVisible = (apiKey, record) =>
+  !apiKey.tenant || record.tenant === apiKey.tenant;
+
+// The same for a job or batch given its id
+const canAccess = async (apiKey, key) => {
+  if (!apiKey.tenant) return true;
+  return isVisible(apiKey, { tenant: await redis.hget(key, "tenant") });
+};
+
+module.exports = {
+  API_KEY_SCOPES,
+  validateApiKey,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  findApiKey,
+  createEventToken,
+  findEventToken,
+  hasScope,
+  canActFor,
+  isVisible,
+  canAccess,
+};
@@ -0,0 +1,287 @@
+const { v4: uuidv4 } = require("uuid");
+
+const redis = require("./redisClient");
+const { buildJob, createJobs } = require("./jobService");
+const { cancelJob } = require("./jobState");
+const { getTenantPrefix } = require("./tenants");
+
+// A batch is a hash batch:<uuid> with the counters kept by the job scripts
+// (total, finished) and the list batch:<uuid>:jobs of its member ids.
+// Its completion callback is a job that depends on the batch hash, it is
+// released by lua/helpers.lua once the sealed batch has finished.
+const getBatchJobsKey = (batchId) => `${batchId}:jobs`;
+
+const MAX_BATCH_SIZE = 5000;
+
+// A member counts as finished, and fully progressed, in these states
+const FINISHED_STATUSES = ["COMPLETED", "FAILED", "CANCELLED", "TIMED_OUT"];
+
+// Error of a batch request, listing every invalid field of every item
+const invalidBatch = (errors) => {
+  const error = new Error(errors.map(({ message }) => message).join("; "));
+  error.errors = errors;
+  return error;
+};
+
+// Prefix the field errors of a buildJob error with the item they belong to
+const itemErrors = (prefix, error) => {
+  return (error.errors || [{ field: "", message: error.message }]).map(
+    ({ field, message }) => ({
+      field: field ? `${prefix}.${field}` : prefix,
+      message: `${prefix}: ${message}`,
+    })
+  );
+};
+
+// Error of an atomic batch refused while its jobs were enqueued, e.g.
+// over the tenant's quota. Its jobs property holds the result of every
+// item, its callback property the result of the callback if there is one.
+const refusedBatch = (jobs, callback) => {
+  const error = new Error("Batch refused, none of its jobs was enqueued");
+  error.jobs = jobs;
+  error.callback = callback;
+  return error;
+};
+
+// Result of a batch item, or of the callback, as listed in the response
+const toItemResult = ({ index, error, result }) => {
+  if (error) {
+    return {
+      index,
+      success: false,
+      message: error.message,
+      errors: error.errors,
+    };
+  }
+
+  if (result.error) {
+    return { index, success: false, message: result.error.message };
+  }
+
+  if (result.outcome === "QUOTA_EXCEEDED") {
+    return {
+      index,
+      success: false,
+      outcome: result.outcome,
+      message: "Tenant has reached its quota of queued jobs",
+    };
+  }
+
+  if (result.outcome === "BATCH_REFUSED") {
+    return {
+      index,
+      success: false,
+      outcome: result.outcome,
+      message: "Left out, another job of the atomic batch was refused",
+    };
+  }
+
+  return {
+    index,
+    success: result.outcome !== "REJECTED",
+    outcome: result.outcome,
+    jobId: result.jobId,
+    status: result.status,
+  };
+};
+
+// Validate and enqueue the jobs of a batch request. Atomic batches are
+// refused as a whole if any job or the callback is invalid or refused on
+// enqueue, e.g. as a duplicate, otherwise only those jobs are left out and
+// a refused callback is reported. A batch of a tenant holds jobs of that
+// tenant only.
+// Throws an Error with a message meant for the client on invalid input,
+// its errors property lists the invalid fields. An atomic batch refused on
+// enqueue throws an Error whose jobs property lists the item results.
+const createBatch = async ({ jobs, atomic = false, callback, tenant }) => {
+  if (!Array.isArray(jobs) || jobs.length === 0) {
+    throw invalidBatch([
+      { field: "jobs", message: "jobs must be a non-empty array" },
+    ]);
+  }
+
+  if (jobs.length > MAX_BATCH_SIZE) {
+    throw invalidBatch([
+      {
+        field: "jobs",
+        message: `A batch holds at most ${MAX_BATCH_SIZE} jobs`,
+      },
+    ]);
+  }
+
+  if (typeof atomic !== "boolean") {
+    throw invalidBatch([
+      { field: "atomic", message: "atomic must be a boolean" },
+    ]);
+  }
+
+  // Every job of a tenant's batch belongs to the tenant
+  const withTenant = (request) =>
+    tenant === undefined ? request : { ...request, tenant };
+
+  const items = [];
+  for (const [index, request] of jobs.entries()) {
+    try {
+      items.push({ index, job: await buildJob(withTenant(request)) });
+    } catch (error) {
+      items.push({ index, error });
+    }
+  }
+
+  const invalidItems = items.filter(({ error }) => error);
+  if (
+    invalidItems.length === items.length ||
+    (atomic && invalidItems.length > 0)
+  ) {
+    throw invalidBatch(
+      invalidItems.flatMap(({ index, error }) =>
+        itemErrors(`jobs[${index}]`, error)
+      )
+    );
+  }
+
+  // The callback is checked before anything is stored, it is built again
+  // below with the dependency on the batch. It is a job of its batch alone,
+  // so it cannot be merged into or answered with another job.
+  if (callback !== undefined) {
+    try {
+      const { deduplication } = await buildJob(withTenant(callback));
+      if (deduplication.idempotencyKey || deduplication.dedupeKey) {
+        throw new Error("The callback takes no jobKey or dedupeKey");
+      }
+    } catch (error) {
+      throw invalidBatch(itemErrors("callback", error));
+    }
+  }
+
+  const batchId = `${getTenantPrefix(tenant)}batch:${uuidv4()}`;
+  const fields = {
+    status: "PROCESSING",
+    total: 0,
+    finished: 0,
+    sealed: 0,
+    atomic: atomic ? 1 : 0,
+    created_at: Date.now(),
+  };
+  if (tenant) {
+    fields.tenant = tenant;
+  }
+  await redis.hset(batchId, fields);
+
+  const members = items.filter(({ job }) => job);
+  members.forEach(({ job }) => (job.batchId = batchId));
+
+  // The callback is enqueued with the members, and checked with them in an
+  // atomic batch
+  const callbackItem =
+    callback === undefined
+      ? null
+      : {
+          job: await buildJob(
+            withTenant({
+              ...callback,
+              dependencies: [...(callback.dependencies || []), batchId],
+            })
+          ),
+        };
+  if (callbackItem) {
+    callbackItem.job.callbackOf = batchId;
+  }
+
+  const enqueued = [...members, ...(callbackItem ? [callbackItem] : [])];
+  const results = await createJobs(
+    enqueued.map(({ job }) => job),
+    atomic ? batchId : null
+  );
+  enqueued.forEach((item, index) => (item.result = results[index]));
+
+  // The check of an atomic batch removed it again, no job was enqueued
+  if (atomic && results.some(({ outcome }) => outcome === "BATCH_REFUSED")) {
+    throw refusedBatch(
+      items.map(toItemResult),
+      callbackItem && toItemResult(callbackItem)
+    );
+  }
+
+  // Only a callback created for the batch is run or cancelled with it
+  let callbackJobId = null;
+  if (callbackItem && callbackItem.result.outcome === "CREATED") {
+    callbackJobId = callbackItem.result.jobId;
+    await redis.hset(batchId, "callback_job_id", callbackJobId);
+  }
+
+  // Members finishing from now on can complete the batch
+  await redis.batchSeal(batchId);
+
+  return {
+    batchId,
+    callbackJobId,
+    callback: callbackItem && toItemResult(callbackItem),
+    jobs: items.map(toItemResult),
+  };
+};
+
+// Totals by status, overall progress and member ids of a batch, or null if
+// it does not exist
+const getBatch = async (batchId) => {
+  const batch = await redis.hgetall(batchId);
+  if (!batch || !batch.status) return null;
+
+  const jobIds = await redis.lrange(getBatchJobsKey(batchId), 0, -1);
+
+  const pipeline = redis.pipeline();
+  jobIds.forEach((jobId) => pipeline.hmget(jobId, "status", "progress"));
+  const results = jobIds.length > 0 ? await pipeline.exec() : [];
+
+  const counts = {};
+  let progress = 0;
+
+  results.forEach(([, [status, jobProgress]]) => {
+    const memberStatus = status || "DELETED";
+    counts[memberStatus] = (counts[memberStatus] || 0) + 1;
+    progress +=
+      !status || FINISHED_STATUSES.includes(status)
+        ? 100
+        : parseInt(jobProgress || 0, 10);
+  });
+
+  return {
+    batchId,
+    status: batch.status,
+    atomic: batch.atomic === "1",
+    tenant: batch.tenant || null,
+    total: parseInt(batch.total || 0, 10),
+    finished: parseInt(batch.finished || 0, 10),
+    progress: jobIds.length > 0 ? Math.floor(progress / jobIds.length) : 100,
+    counts,
+    created_at: batch.created_at,
+    finished_at: batch.finished_at,
+    cancelled_at: batch.cancelled_at,
+    callback_job_id: batch.callback_job_id,
+    jobIds,
+  };
+};
+
+// Cancel every unfinished member of a batch and its completion callback.
+// Resolves to the number of cancelled members, false if the batch has
+// already finished or null if it does not exist.
+const cancelBatch = async (batchId) => {
+  const batch = await redis.hmget(batchId, "status", "callback_job_id");
+  if (!batch[0]) return null;
+  if (batch[0] !== "PROCESSING") return false;
+
+  // The batch no longer completes, so the callback is never released
+  await redis.hset(batchId, "status", "CANCELLED", "cancelled_at", Date.now());
+  if (batch[1]) {
+    await cancelJob(batch[1]);
+  }
+
+  let cancelled = 0;
+  for (const jobId of await redis.lrange(getBatchJobsKey(batchId), 0, -1)) {
+    if (await cancelJob(jobId)) cancelled++;
+  }
+
+  return cancelled;
+};
+
+module.exports = { MAX_BATCH_SIZE, createBatch, getBatch, cancelBatch };
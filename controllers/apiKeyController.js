@@ -0,0 +1,95 @@
+const { trace } = require("@opentelemetry/api");
+const {
+  validateApiKey,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  createEventToken,
+} = require("../apiKeys");
+
+// List the API keys, without the keys themselves
+exports.getApiKeys = async (req, res) => {
+  const span = trace.getTracer("redis-job-service").startSpan("get_api_keys");
+  try {
+    res.status(200).json({ success: true, apiKeys: await listApiKeys() });
+  } catch (error) {
+    span.recordException(error);
+    console.error("Error fetching API keys: ", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to fetch API keys" });
+  } finally {
+    span.end();
+  }
+};
+
+// Create an API key, the response is the only time the key is shown
+exports.createApiKey = async (req, res) => {
+  const span = trace.getTracer("redis-job-service").startSpan("create_api_key");
+  try {
+    let options;
+    try {
+      options = validateApiKey(req.body);
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    const apiKey = await createApiKey(options);
+    span.setAttributes({ id: apiKey.id, tenant: apiKey.tenant || "*" });
+
+    res.status(201).json({ success: true, message: "API key created", apiKey });
+  } catch (error) {
+    span.recordException(error);
+    console.error("Error creating API key: ", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to create API key" });
+  } finally {
+    span.end();
+  }
+};
+
+// Revoke an API key, requests with it are refused from now on
+exports.deleteApiKey = async (req, res) => {
+  const span = trace.getTracer("redis-job-service").startSpan("delete_api_key");
+  try {
+    const { id } = req.params;
+    span.setAttributes({ id });
+
+    if (!(await revokeApiKey(id))) {
+      return res
+        .status(404)
+        .json({ success: false, message: "API key not found" });
+    }
+
+    res.status(200).json({ success: true, message: "API key revoked" });
+  } catch (error) {
+    span.recordException(error);
+    console.error("Error revoking API key: ", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to revoke API key" });
+  } finally {
+    span.end();
+  }
+};
+
+// Hand out a token that opens the event streams as the caller's key
+exports.createEventToken = async (req, res) => {
+  const span = trace
+    .getTracer("redis-job-service")
+    .startSpan("create_event_token");
+  try {
+    span.setAttributes({ id: req.apiKey.id });
+    const eventToken = await createEventToken(req.apiKey);
+    res.status(201).json({ success: true, ...eventToken });
+  } catch (error) {
+    span.recordException(error);
+    console.error("Error creating event token: ", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to create event token" });
+  } finally {
+    span.end();
+  }
+};
@@ -0,0 +1,67 @@
+const { findApiKey, findEventToken, hasScope } = require("../apiKeys");
+
+// The job and queue event streams, the only routes that take an event token
+const EVENT_STREAM_PATH = /^\/api\/jobs\/(?:[^/]+\/)?events$/;
+
+// The key is sent as "Authorization: Bearer <key>" or "X-API-Key: <key>"
+const readApiKey = (req) => {
+  const [scheme, token] = (req.get("Authorization") || "").split(" ");
+  if (scheme === "Bearer" && token) return token;
+  return req.get("X-API-Key") || null;
+};
+
+// Key of an event stream opened with ?token=, null on every other route
+const readEventToken = (req) =>
+  req.method === "GET" &&
+  EVENT_STREAM_PATH.test(req.path) &&
+  typeof req.query.token === "string"
+    ? req.query.token
+    : null;
+
+// Look up the API key of a request and keep it on req.apiKey for the
+// scope and tenant checks of the routes
+exports.authenticate = async (req, res, next) => {
+  try {
+    const key = readApiKey(req);
+    const token = key ? null : readEventToken(req);
+    if (token) {
+      req.apiKey = await findEventToken(token);
+      if (!req.apiKey) {
+        return res
+          .status(401)
+          .json({ success: false, message: "Invalid or expired event token" });
+      }
+      return next();
+    }
+
+    if (!key) {
+      return res
+        .status(401)
+        .json({ success: false, message: "API key required" });
+    }
+
+    req.apiKey = await findApiKey(key);
+    if (!req.apiKey) {
+      return res
+        .status(401)
+        .json({ success: false, message: "Invalid API key" });
+    }
+
+    next();
+  } catch (error) {
+    console.error("Error authenticating request: ", error);
+    res.status(500).json({ success: false, message: "Failed to authenticate" });
+  }
+};
+
+// Only let requests through whose key has the scope, or the admin scope
+exports.requireScope = (scope) => (req, res, next) => {
+  if (!hasScope(req.apiKey, scope)) {
+    return res.status(403).json({
+      success: false,
+      message: `API key lacks the ${scope} scope`,
+    });
+  }
+
+  next();
+};
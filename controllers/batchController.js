@@ -0,0 +1,120 @@
+const { context, trace } = require("@opentelemetry/api");
+const { createBatch, getBatch, cancelBatch } = require("../batches");
+const { canActFor, canAccess } = require("../apiKeys");
+
+// Enqueue the jobs of a batch
+exports.createBatch = async (req, res) => {
+  const span = trace.getTracer("redis-job-service").startSpan("create_batch");
+  try {
+    // Keys of one tenant only enqueue batches of their own jobs
+    const { jobs, callback } = req.body;
+    const requested = [
+      req.body,
+      ...(Array.isArray(jobs) ? jobs : []),
+      ...(callback ? [callback] : []),
+    ];
+    if (requested.some((request) => !canActFor(req.apiKey, request?.tenant))) {
+      return res.status(403).json({
+        success: false,
+        message: "API key cannot enqueue jobs of another tenant",
+      });
+    }
+    const tenant = req.apiKey.tenant || req.body.tenant;
+
+    let batch;
+    try {
+      // The jobs are stored with the trace context of this span
+      batch = await context.with(trace.setSpan(context.active(), span), () =>
+        createBatch({ ...req.body, tenant })
+      );
+    } catch (error) {
+      if (error.jobs) {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+          callback: error.callback,
+          jobs: error.jobs,
+        });
+      }
+
+      if (!error.errors) throw error;
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        errors: error.errors,
+      });
+    }
+
+    span.setAttributes({ batchId: batch.batchId, size: batch.jobs.length });
+
+    res
+      .status(201)
+      .json({ success: true, message: "Batch enqueued", ...batch });
+  } catch (error) {
+    span.recordException(error);
+    console.error("Error creating batch: ", error);
+    res.status(500).json({ success: false, message: "Failed to create batch" });
+  } finally {
+    span.end();
+  }
+};
+
+// Get the totals, progress and jobs of a batch
+exports.getBatch = async (req, res) => {
+  const span = trace.getTracer("redis-job-service").startSpan("get_batch");
+  try {
+    const { batchId } = req.params;
+    span.setAttributes({ batchId });
+
+    const batch = (await canAccess(req.apiKey, batchId))
+      ? await getBatch(batchId)
+      : null;
+    if (!batch) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Batch not found" });
+    }
+
+    res.status(200).json({ success: true, batch });
+  } catch (error) {
+    span.recordException(error);
+    console.error("Error fetching batch: ", error);
+    res.status(500).json({ success: false, message: "Failed to fetch batch" });
+  } finally {
+    span.end();
+  }
+};
+
+// Cancel every unfinished job of a batch
+exports.cancelBatch = async (req, res) => {
+  const span = trace.getTracer("redis-job-service").startSpan("cancel_batch");
+  try {
+    const { batchId } = req.params;
+    span.setAttributes({ batchId });
+
+    const cancelled = (await canAccess(req.apiKey, batchId))
+      ? await cancelBatch(batchId)
+      : null;
+    if (cancelled === null) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Batch not found" });
+    }
+
+    if (cancelled === false) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Batch has already finished" });
+    }
+
+    res
+      .status(200)
+      .json({ success: true, message: "Batch cancelled", cancelled });
+  } catch (error) {
+    span.recordException(error);
+    console.error("Error cancelling batch: ", error);
+    res.status(500).json({ success: false, message: "Failed to cancel batch" });
+  } finally {
+    span.end();
+  }
+};
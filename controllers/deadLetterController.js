@@ -0,0 +1,318 @@
+const redis = require("../redisClient");
+const { trace } = require("@opentelemetry/api");
+const {
+  DEAD_LETTER_QUEUE,
+  requeueDeadLetterJob,
+  deleteJob,
+} = require("../jobState");
+const { validateJobData } = require("../handlers");
+
+// Dead-lettered jobs are read from the list in pages of this size
+const SCAN_PAGE_SIZE = 100;
+
+// Accept epoch milliseconds or a date string, undefined when not given
+const parseTime = (value, name) => {
+  if (value === undefined || value === "") return undefined;
+
+  const timestamp = /^\d+$/.test(value)
+    ? Number(value)
+    : new Date(value).getTime();
+
+  if (!Number.isFinite(timestamp)) {
+    throw new Error(`${name} must be an epoch timestamp in ms or a date`);
+  }
+
+  return timestamp;
+};
+
+// Read the type and failure time filters from a query or body
+const parseFilters = ({ type, failedAfter, failedBefore } = {}) => ({
+  type,
+  failedAfter: parseTime(failedAfter, "failedAfter"),
+  failedBefore: parseTime(failedBefore, "failedBefore"),
+});
+
+const matchesFilters = (job, { type, failedAfter, failedBefore }) => {
+  const failedAt = parseInt(job.failed_at || 0, 10);
+
+  if (type && job.type !== type) return false;
+  if (failedAfter !== undefined && failedAt < failedAfter) return false;
+  if (failedBefore !== undefined && failedAt > failedBefore) return false;
+
+  return true;
+};
+
+const hasFilters = ({ type, failedAfter, failedBefore }) =>
+  Boolean(type) || failedAfter !== undefined || failedBefore !== undefined;
+
+// Read the hashes of dead-lettered jobs in one round trip
+const readJobs = async (jobIds) => {
+  const pipeline = redis.pipeline();
+  jobIds.forEach((jobId) => pipeline.hgetall(jobId));
+  const results = jobIds.length > 0 ? await pipeline.exec() : [];
+
+  return results.map(([, job], index) => ({ jobId: jobIds[index], job }));
+};
+
+// Walk the dead letter queue, newest first, and collect matching jobs
+const findDeadLetterJobs = async (filters) => {
+  const matches = [];
+
+  for (let start = 0; ; start += SCAN_PAGE_SIZE) {
+    const jobIds = await redis.lrange(
+      DEAD_LETTER_QUEUE,
+      start,
+      start + SCAN_PAGE_SIZE - 1
+    );
+
+    for (const { jobId, job } of await readJobs(jobIds)) {
+      if (matchesFilters(job, filters)) {
+        matches.push({ jobId, job });
+      }
+    }
+
+    if (jobIds.length < SCAN_PAGE_SIZE) break;
+  }
+
+  return matches;
+};
+
+// Short view of a dead-lettered job for listings
+const summarize = (jobId, job) => ({
+  jobId,
+  type: job.type,
+  queue: job.queue,
+  retries: parseInt(job.retries || 0, 10),
+  error: job.error,
+  failed_at: job.failed_at
+    ? new Date(parseInt(job.failed_at, 10)).toISOString()
+    : null,
+});
+
+// Remove a job from the dead letter queue together with its data.
+// Resolves to false if the job is not dead-lettered.
+const purgeDeadLetterJob = async (jobId) => {
+  const position = await redis.lpos(DEAD_LETTER_QUEUE, jobId);
+  if (position === null) return false;
+
+  return deleteJob(jobId);
+};
+
+// List dead-lettered jobs, filterable by type and failure time
+exports.getDeadLetterJobs = async (req, res) => {
+  const span = trace
+    .getTracer("redis-job-service")
+    .startSpan("get_dead_letter_jobs");
+  try {
+    let filters;
+    try {
+      filters = parseFilters(req.query);
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    const offset = Math.max(parseInt(req.query.offset || 0, 10) || 0, 0);
+    const limit = Math.max(parseInt(req.query.limit || 50, 10) || 50, 1);
+
+    // Without filters the page is read straight from the list
+    let total;
+    let page;
+    if (hasFilters(filters)) {
+      const matches = await findDeadLetterJobs(filters);
+      total = matches.length;
+      page = matches.slice(offset, offset + limit);
+    } else {
+      const [[, length], [, jobIds]] = await redis
+        .multi()
+        .llen(DEAD_LETTER_QUEUE)
+        .lrange(DEAD_LETTER_QUEUE, offset, offset + limit - 1)
+        .exec();
+      total = length;
+      page = await readJobs(jobIds);
+    }
+
+    const jobs = page.map(({ jobId, job }) => summarize(jobId, job));
+
+    res.status(200).json({ success: true, total, jobs });
+  } catch (error) {
+    span.recordException(error);
+    console.error("Error fetching dead letter jobs: ", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to fetch dead letter jobs" });
+  } finally {
+    span.end();
+  }
+};
+
+// Inspect a single dead-lettered job including every failed attempt
+exports.getDeadLetterJob = async (req, res) => {
+  const span = trace
+    .getTracer("redis-job-service")
+    .startSpan("get_dead_letter_job");
+  try {
+    const { jobId } = req.params;
+    span.setAttributes({ jobId });
+
+    const position = await redis.lpos(DEAD_LETTER_QUEUE, jobId);
+    if (position === null) {
+      return res.status(404).json({
+        success: false,
+        message: "Job not found in dead letter queue",
+      });
+    }
+
+    const job = await redis.hgetall(jobId);
+    const errors = job.errors ? JSON.parse(job.errors) : [];
+
+    res.status(200).json({ success: true, job: { jobId, ...job }, errors });
+  } catch (error) {
+    span.recordException(error);
+    console.error("Error fetching dead letter job: ", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to fetch dead letter job" });
+  } finally {
+    span.end();
+  }
+};
+
+// Requeue a single dead-lettered job, optionally with reset retries or new data
+exports.requeueDeadLetterJob = async (req, res) => {
+  const span = trace
+    .getTracer("redis-job-service")
+    .startSpan("requeue_dead_letter_job");
+  try {
+    const { jobId } = req.params;
+    const { resetRetries = false, data } = req.body || {};
+    span.setAttributes({ jobId, resetRetries });
+
+    // New data has to match the schema of the job's type, as on enqueue
+    if (data !== undefined) {
+      const errors = validateJobData(await redis.hget(jobId, "type"), data);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: errors.map(({ message }) => message).join("; "),
+          errors,
+        });
+      }
+    }
+
+    const requeued = await requeueDeadLetterJob(jobId, { resetRetries, data });
+    if (!requeued) {
+      return res.status(404).json({
+        success: false,
+        message: "Job not found in dead letter queue",
+      });
+    }
+
+    res.status(200).json({ success: true, message: "Job requeued", jobId });
+  } catch (error) {
+    span.recordException(error);
+    console.error("Error requeuing dead letter job: ", error);
+    res.status(500).json({ success: false, message: "Failed to requeue job" });
+  } finally {
+    span.end();
+  }
+};
+
+// Requeue every dead-lettered job matching the filters
+exports.requeueDeadLetterJobs = async (req, res) => {
+  const span = trace
+    .getTracer("redis-job-service")
+    .startSpan("requeue_dead_letter_jobs");
+  try {
+    const { resetRetries = false } = req.body || {};
+
+    let filters;
+    try {
+      filters = parseFilters(req.body);
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    const jobIds = [];
+    for (const { jobId } of await findDeadLetterJobs(filters)) {
+      if (await requeueDeadLetterJob(jobId, { resetRetries })) {
+        jobIds.push(jobId);
+      }
+    }
+
+    span.setAttributes({ count: jobIds.length });
+
+    res.status(200).json({
+      success: true,
+      message: `${jobIds.length} jobs requeued`,
+      jobIds,
+    });
+  } catch (error) {
+    span.recordException(error);
+    console.error("Error requeuing dead letter jobs: ", error);
+    res.status(500).json({ success: false, message: "Failed to requeue jobs" });
+  } finally {
+    span.end();
+  }
+};
+
+// Purge a single dead-lettered job
+exports.purgeDeadLetterJob = async (req, res) => {
+  const span = trace
+    .getTracer("redis-job-service")
+    .startSpan("purge_dead_letter_job");
+  try {
+    const { jobId } = req.params;
+    span.setAttributes({ jobId });
+
+    if (!(await purgeDeadLetterJob(jobId))) {
+      return res.status(404).json({
+        success: false,
+        message: "Job not found in dead letter queue",
+      });
+    }
+
+    res.status(200).json({ success: true, message: "Job purged", jobId });
+  } catch (error) {
+    span.recordException(error);
+    console.error("Error purging dead letter job: ", error);
+    res.status(500).json({ success: false, message: "Failed to purge job" });
+  } finally {
+    span.end();
+  }
+};
+
+// Purge every dead-lettered job matching the filters
+exports.purgeDeadLetterJobs = async (req, res) => {
+  const span = trace
+    .getTracer("redis-job-service")
+    .startSpan("purge_dead_letter_jobs");
+  try {
+    let filters;
+    try {
+      filters = parseFilters(req.query);
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    const jobIds = [];
+    for (const { jobId } of await findDeadLetterJobs(filters)) {
+      if (await purgeDeadLetterJob(jobId)) {
+        jobIds.push(jobId);
+      }
+    }
+
+    span.setAttributes({ count: jobIds.length });
+
+    res.status(200).json({
+      success: true,
+      message: `${jobIds.length} jobs purged`,
+      jobIds,
+    });
+  } catch (error) {
+    span.recordException(error);
+    console.error("Error purging dead letter jobs: ", error);
+    res.status(500).json({ success: false, message: "Failed to purge jobs" });
+  } finally {
+    span.end();
+  }
+};
@@ -1,7 +1,123 @@
+const redis = require("../redisClient");
 const { v4: uuidv4 } = require("uuid");
+const { buildJob, createJob } = require("../jobService");
+const {
+  STATS_KEY,
+  JOB_INDEX_KEY,
+  getStatusIndexKey,
+  getTypeIndexKey,
+  getTenantIndexKey,
+  getTenantStatsKey,
+  cancelJob,
+  deleteJob,
+} = require("../jobState");
+const { getRegisteredQueues } = require("../queues");
+const { getTenantPrefix } = require("../tenants");
+const { canActFor, isVisible, canAccess } = require("../apiKeys");
+const { listDeliveries, redeliverWebhook } = require("../webhooks");
+const {
+  TERMINAL_STATUSES,
+  getQueuesPattern,
+  getJobChannel,
+  getQueueChannel,
+  subscribe,
+  describeJob,
+} = require("../jobEvents");
+const { context, trace } = require("@opentelemetry/api");
+
+// Results are stored as JSON, older jobs may still hold a plain string
+const parseResult = (result) => {
+  if (result === undefined) return null;
+  try {
+    return JSON.parse(result);
+  } catch (error) {
+    return result;
+  }
+};
 
-const redis = require("../redisClient");
-const { trace } = require("@opentelemetry/api");
+// Listings are paged, a page holds at most this many jobs
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+// Read offset and limit from the query string
+const parsePage = ({ offset, limit }) => ({
+  offset: Math.max(parseInt(offset || 0, 10) || 0, 0),
+  limit: Math.min(
+    Math.max(parseInt(limit || DEFAULT_PAGE_SIZE, 10) || DEFAULT_PAGE_SIZE, 1),
+    MAX_PAGE_SIZE
+  ),
+});
+
+// One page of job ids, newest first, from the index matching the filters.
+// Several filters are answered from the intersection of their indexes.
+const findJobIds = async ({ status, type, tenant }, { offset, limit }) => {
+  const end = offset + limit - 1;
+
+  const indexes = [];
+  if (status) indexes.push(getStatusIndexKey(status));
+  if (type) indexes.push(getTypeIndexKey(type));
+  if (tenant) indexes.push(getTenantIndexKey(tenant));
+
+  if (indexes.length > 1) {
+    const intersection = `${JOB_INDEX_KEY}:tmp:${uuidv4()}`;
+    const [, [, jobIds], [, total]] = await redis
+      .multi()
+      .zinterstore(intersection, indexes.length, ...indexes)
+      .zrevrange(intersection, offset, end)
+      .zcard(intersection)
+      .del(intersection)
+      .exec();
+    return { total, jobIds };
+  }
+
+  const index = indexes[0] || JOB_INDEX_KEY;
+  const [[, jobIds], [, total]] = await redis
+    .multi()
+    .zrevrange(index, offset, end)
+    .zcard(index)
+    .exec();
+  return { total, jobIds };
+};
+
+// Listings of a key of one tenant only show that tenant, keys of every
+// tenant can pick one with ?tenant=
+const getListedTenant = (req) => req.apiKey.tenant || req.query.tenant;
+
+// Job counts per status of a tenant, or of every job
+const readStats = async (tenant) => {
+  const counters = await redis.hgetall(
+    tenant ? getTenantStatsKey(tenant) : STATS_KEY
+  );
+
+  const stats = {};
+  for (const [status, count] of Object.entries(counters)) {
+    stats[status] = parseInt(count, 10);
+  }
+  return stats;
+};
+
+// Comment lines keep idle streams from being closed by proxies
+const STREAM_KEEPALIVE_INTERVAL = 15000;
+
+// Switch the response to a Server-Sent Events stream and return a
+// function that sends one event on it
+const openEventStream = (req, res) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+
+  const keepAlive = setInterval(
+    () => res.write(": keep-alive\n\n"),
+    STREAM_KEEPALIVE_INTERVAL
+  );
+  req.on("close", () => clearInterval(keepAlive));
+
+  return (event) =>
+    res.write(`event: ${event.event}\ndata: ${JSON.stringify(event)}\n\n`);
+};
 
 // Enqueue a job
 exports.enqueueJob = async (req, res) => {
@@ -9,26 +125,78 @@ exports.enqueueJob = async (req, res) => {
   try {
     const { type, data, priority = "normal", dependencies = [] } = req.body;
 
-    const jobId = `job:${uuidv4()}`;
+    // The header takes precedence over the jobKey field
+    const jobKey = req.get("Idempotency-Key") || req.body.jobKey;
 
-    const queueName =
-      priority === "high" ? "high_priority_jobs" : "normal_jobs";
+    if (!canActFor(req.apiKey, req.body.tenant)) {
+      return res.status(403).json({
+        success: false,
+        message: "API key cannot enqueue jobs of another tenant",
+      });
+    }
+    const tenant = req.apiKey.tenant || req.body.tenant;
+
+    let job;
+    try {
+      job = await buildJob({ ...req.body, jobKey, tenant });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        errors: error.errors,
+      });
+    }
 
-    span.setAttributes({ type, data, priority, dependencies, jobId });
+    const { scheduledAt } = job;
+    // Stored with the trace context of this span
+    const { outcome, jobId, status } = await context.with(
+      trace.setSpan(context.active(), span),
+      () => createJob(job)
+    );
+
+    span.setAttributes({ type, data, priority, dependencies, jobId, outcome });
+
+    if (outcome === "IDEMPOTENT") {
+      return res.status(200).json({
+        success: true,
+        message: "Job already enqueued with this idempotency key",
+        jobId,
+        status,
+      });
+    }
 
-    await redis.lpush(queueName, jobId);
-    await redis.hmset(jobId, {
-      status: "PENDING",
-      type,
-      data: JSON.stringify(data),
-      retries: 0,
-      progress: 0,
-      created_at: Date.now(),
-    });
+    if (outcome === "MERGED") {
+      return res.status(200).json({
+        success: true,
+        message: "Merged into an active job with the same dedupe key",
+        jobId,
+        status,
+      });
+    }
 
-    for (const dependency of dependencies) {
-      await redis.sadd(`${jobId}:dependencies`, dependency);
-      await redis.sadd(`${dependency}:dependents`, jobId);
+    if (outcome === "QUOTA_EXCEEDED") {
+      return res.status(429).json({
+        success: false,
+        message: `Tenant ${tenant} has reached its quota of queued jobs`,
+      });
+    }
+
+    if (outcome === "REJECTED") {
+      return res.status(409).json({
+        success: false,
+        message: "An active job with the same dedupe key exists",
+        jobId,
+        status,
+      });
+    }
+
+    if (scheduledAt) {
+      return res.status(201).json({
+        success: true,
+        message: "Job scheduled",
+        jobId,
+        runAt: new Date(scheduledAt).toISOString(),
+      });
     }
 
     res.status(201).json({ success: true, message: "Job enqueued", jobId });
@@ -49,10 +217,14 @@ exports.getJobStatus = async (req, res) => {
     const job = await redis.hgetall(jobId);
     span.setAttributes({ jobId });
 
-    if (!job || Object.keys(job).length === 0) {
+    if (!job || Object.keys(job).length === 0 || !isVisible(req.apiKey, job)) {
       return res.status(404).json({ success: false, message: "Job not found" });
     }
 
+    if (job.run_at) {
+      job.scheduled_for = new Date(parseInt(job.run_at, 10)).toISOString();
+    }
+
     res.status(200).json({ success: true, job });
   } catch (error) {
     console.error("Error fetching job status: ", error);
@@ -65,35 +237,46 @@ exports.getJobStatus = async (req, res) => {
   }
 };
 
-// Get all jobs (monitoring)
+// Get all jobs (monitoring), paged and filterable by status and type
 exports.getAllJobs = async (req, res) => {
   const span = trace.getTracer("redis-job-service").startSpan("get_all_jobs");
   try {
-    const jobKeys = await redis.keys("job:*");
-    const jobs = [];
-
-    for (const key of jobKeys) {
-      const job = await redis.hgetall(key);
-      jobs.push({ jobId: key, ...job });
-    }
-
-    res.status(200).json({ success: true, jobs });
+    const { status, type } = req.query;
+    const tenant = getListedTenant(req);
+    const page = parsePage(req.query);
+    const { total, jobIds } = await findJobIds({ status, type, tenant }, page);
+
+    // Fetch the hashes of the page in one round trip
+    const pipeline = redis.pipeline();
+    jobIds.forEach((jobId) => pipeline.hgetall(jobId));
+    const results = jobIds.length > 0 ? await pipeline.exec() : [];
+
+    const jobs = results.map(([, job], index) => ({
+      jobId: jobIds[index],
+      ...job,
+    }));
+
+    res.status(200).json({ success: true, total, ...page, jobs });
   } catch (error) {
     span.recordException(error);
+    console.error("Error fetching jobs: ", error);
+    res.status(500).json({ success: false, message: "Failed to fetch jobs" });
   } finally {
     span.end();
   }
 };
 
-// Get all job ids
+// Get all job ids, paged and filterable like getAllJobs
 exports.getAllJobIds = async (req, res) => {
   const span = trace.getTracer("redis-job-service").startSpan("get_all_jobs");
   try {
-    // Fetch all job keys
-    const jobKeys = await redis.keys("job:*");
+    const { status, type } = req.query;
+    const tenant = getListedTenant(req);
+    const page = parsePage(req.query);
+    const { total, jobIds } = await findJobIds({ status, type, tenant }, page);
 
     // Return only ids
-    res.status(200).json({ success: true, jobIds: jobKeys });
+    res.status(200).json({ success: true, total, ...page, jobIds });
   } catch (error) {
     console.error("Error fetching job IDs: ", error);
     span.recordException(error);
@@ -114,11 +297,13 @@ exports.getJobResult = async (req, res) => {
 
     span.setAttributes({ jobId });
 
-    if (!job || Object.keys(job).length === 0) {
+    if (!job || Object.keys(job).length === 0 || !isVisible(req.apiKey, job)) {
       return res.status(404).json({ success: false, message: "Job not found" });
     }
 
-    return res.status(200).json({ success: true, result: job.result });
+    return res
+      .status(200)
+      .json({ success: true, result: parseResult(job.result) });
   } catch (error) {
     span.recordException(error);
     console.error("Error fetching job result: ", error);
@@ -134,18 +319,17 @@ exports.getJobResult = async (req, res) => {
 exports.getJobStats = async (req, res) => {
   const span = trace.getTracer("redis-job-service").startSpan("get_job_stats");
   try {
-    const jobKeys = await redis.keys("job:*");
     const stats = {
+      SCHEDULED: 0,
       PENDING: 0,
       PROCESSING: 0,
       COMPLETED: 0,
       FAILED: 0,
+      TIMED_OUT: 0,
     };
 
-    for (const key of jobKeys) {
-      const status = await redis.hget(key, "status");
-      stats[status] = (stats[status] || 0) + 1;
-    }
+    // Counters are kept up to date on every transition
+    Object.assign(stats, await readStats(getListedTenant(req)));
 
     return res.status(200).json({ success: true, stats });
   } catch (error) {
@@ -166,13 +350,13 @@ exports.cancelJob = async (req, res) => {
 
     span.setAttributes({ jobId });
 
-    if (!job || Object.keys(job).length === 0) {
+    if (!job || Object.keys(job).length === 0 || !isVisible(req.apiKey, job)) {
       return res.status(404).json({ success: false, message: "Job not found" });
     }
 
-    // Only allow cancellation if job is PENDING or PROCESSING
-    if (job.status === "PENDING" || job.status === "PROCESSING") {
-      await redis.hset(jobId, "status", "CANCELLED");
+    // Only allow cancellation if job has not finished yet, the script
+    // checks the status and cancels in one step
+    if (await cancelJob(jobId)) {
       return res.status(200).json({ success: true, message: "Job cancelled" });
     }
 
@@ -196,18 +380,11 @@ exports.deleteJob = async (req, res) => {
 
     span.setAttributes({ jobId });
 
-    // Delete the job
-    const jobExists = await redis.exists(jobId);
-
-    if (!jobExists) {
+    // Remove job metadata, dependencies and index entries
+    if (!(await canAccess(req.apiKey, jobId)) || !(await deleteJob(jobId))) {
       return res.status(404).json({ success: false, message: "Job not found" });
     }
 
-    // Remove job metadata and dependencies
-    await redis.del(jobId);
-    await redis.del(`${jobId}:dependencies`);
-    await redis.del(`${jobId}:dependents`);
-
     res
       .status(200)
       .json({ success: true, message: "Job deleted successfully" });
@@ -219,3 +396,201 @@ exports.deleteJob = async (req, res) => {
     span.end();
   }
 };
+
+// Stream progress updates, status changes and the result of a job as
+// Server-Sent Events. The current state is sent first, the stream ends
+// once the job completes, fails for good, is cancelled or deleted.
+exports.streamJobEvents = async (req, res) => {
+  const span = trace
+    .getTracer("redis-job-service")
+    .startSpan("stream_job_events");
+  try {
+    const { jobId } = req.params;
+    span.setAttributes({ jobId });
+
+    let send = null;
+    let closed = false;
+    const heldBack = [];
+
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      unsubscribe().catch((error) =>
+        console.error(`Error unsubscribing from ${jobId}: `, error)
+      );
+      res.end();
+    };
+
+    const forward = (event) => {
+      if (closed) return;
+      send(event);
+
+      if (
+        event.event === "deleted" ||
+        TERMINAL_STATUSES.includes(event.status)
+      ) {
+        close();
+      }
+    };
+
+    // Listen before reading the current state so no change is missed.
+    // Events arriving in between are held back until the state is sent.
+    const unsubscribe = await subscribe(getJobChannel(jobId), (event) => {
+      if (send) {
+        forward(event);
+      } else {
+        heldBack.push(event);
+      }
+    });
+
+    const job = await redis.hgetall(jobId);
+
+    if (!job || Object.keys(job).length === 0 || !isVisible(req.apiKey, job)) {
+      closed = true;
+      await unsubscribe();
+      return res.status(404).json({ success: false, message: "Job not found" });
+    }
+
+    send = openEventStream(req, res);
+    req.on("close", close);
+
+    forward(describeJob(jobId, job));
+    heldBack.forEach(forward);
+  } catch (error) {
+    span.recordException(error);
+    console.error("Error streaming job events: ", error);
+    if (res.headersSent) {
+      res.end();
+    } else {
+      res
+        .status(500)
+        .json({ success: false, message: "Failed to stream job events" });
+    }
+  } finally {
+    span.end();
+  }
+};
+
+// Stream the events of every job on one queue, or on all queues, for
+// dashboards. Starts with the job counts and queue lengths.
+exports.streamQueueEvents = async (req, res) => {
+  const span = trace
+    .getTracer("redis-job-service")
+    .startSpan("stream_queue_events");
+  try {
+    const { queue } = req.query;
+    span.setAttributes({ queue: queue || "*" });
+
+    // A key of one tenant only streams the queues under its prefix
+    const { tenant } = req.apiKey;
+    const prefix = getTenantPrefix(tenant);
+    if (queue && !queue.startsWith(prefix)) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Queue not found" });
+    }
+
+    let send = null;
+    const heldBack = [];
+
+    const unsubscribe = await subscribe(
+      queue ? getQueueChannel(queue) : getQueuesPattern(prefix),
+      (event) => (send ? send(event) : heldBack.push(event))
+    );
+
+    req.on("close", () => {
+      unsubscribe().catch((error) =>
+        console.error("Error unsubscribing from queue events: ", error)
+      );
+    });
+
+    const queueNames = queue
+      ? [queue]
+      : (await getRegisteredQueues()).filter((queueName) =>
+          queueName.startsWith(prefix)
+        );
+    const stats = await readStats(tenant);
+    const pipeline = redis.pipeline();
+    queueNames.forEach((queueName) => pipeline.llen(queueName));
+    const lengths = queueNames.length > 0 ? await pipeline.exec() : [];
+
+    const queues = {};
+    queueNames.forEach((queueName, index) => {
+      queues[queueName] = lengths[index][1];
+    });
+
+    send = openEventStream(req, res);
+    send({ event: "state", queue: queue || "*", stats, queues });
+    heldBack.forEach(send);
+  } catch (error) {
+    span.recordException(error);
+    console.error("Error streaming queue events: ", error);
+    if (res.headersSent) {
+      res.end();
+    } else {
+      res
+        .status(500)
+        .json({ success: false, message: "Failed to stream queue events" });
+    }
+  } finally {
+    span.end();
+  }
+};
+
+// Webhook delivery log of a job
+exports.getJobWebhooks = async (req, res) => {
+  const span = trace
+    .getTracer("redis-job-service")
+    .startSpan("get_job_webhooks");
+  try {
+    const { jobId } = req.params;
+    span.setAttributes({ jobId });
+
+    if (!(await redis.exists(jobId)) || !(await canAccess(req.apiKey, jobId))) {
+      return res.status(404).json({ success: false, message: "Job not found" });
+    }
+
+    const deliveries = await listDeliveries(jobId);
+    res.status(200).json({ success: true, deliveries });
+  } catch (error) {
+    span.recordException(error);
+    console.error("Error fetching job webhooks: ", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to fetch job webhooks" });
+  } finally {
+    span.end();
+  }
+};
+
+// Send a webhook delivery of a job again
+exports.redeliverJobWebhook = async (req, res) => {
+  const span = trace
+    .getTracer("redis-job-service")
+    .startSpan("redeliver_job_webhook");
+  try {
+    const { jobId, deliveryId } = req.params;
+    span.setAttributes({ jobId, deliveryId });
+
+    if (
+      !(await canAccess(req.apiKey, jobId)) ||
+      !(await redeliverWebhook(jobId, deliveryId))
+    ) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Webhook delivery not found" });
+    }
+
+    res
+      .status(200)
+      .json({ success: true, message: "Webhook redelivery queued" });
+  } catch (error) {
+    span.recordException(error);
+    console.error("Error redelivering job webhook: ", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to redeliver webhook" });
+  } finally {
+    span.end();
+  }
+};
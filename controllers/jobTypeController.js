@@ -0,0 +1,44 @@
+const { trace } = require("@opentelemetry/api");
+const { describeJobTypes } = require("../handlers");
+
+// List the registered job types with their data schema and options
+exports.getJobTypes = async (req, res) => {
+  const span = trace.getTracer("redis-job-service").startSpan("get_job_types");
+  try {
+    res.status(200).json({ success: true, jobTypes: describeJobTypes() });
+  } catch (error) {
+    span.recordException(error);
+    console.error("Error fetching job types: ", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to fetch job types" });
+  } finally {
+    span.end();
+  }
+};
+
+// Describe one job type
+exports.getJobType = async (req, res) => {
+  const span = trace.getTracer("redis-job-service").startSpan("get_job_type");
+  try {
+    const { type } = req.params;
+    span.setAttributes({ type });
+
+    const jobType = describeJobTypes().find((entry) => entry.type === type);
+    if (!jobType) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Job type not found" });
+    }
+
+    res.status(200).json({ success: true, jobType });
+  } catch (error) {
+    span.recordException(error);
+    console.error("Error fetching job type: ", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to fetch job type" });
+  } finally {
+    span.end();
+  }
+};
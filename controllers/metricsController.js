@@ -0,0 +1,21 @@
+const { trace } = require("@opentelemetry/api");
+const { collectMetrics } = require("../metrics");
+
+// Queue, job and worker metrics of the whole fleet for Prometheus
+exports.getMetrics = async (req, res) => {
+  const span = trace.getTracer("redis-job-service").startSpan("get_metrics");
+  try {
+    res
+      .status(200)
+      .type("text/plain; version=0.0.4")
+      .send(await collectMetrics());
+  } catch (error) {
+    span.recordException(error);
+    console.error("Error collecting metrics: ", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to collect metrics" });
+  } finally {
+    span.end();
+  }
+};
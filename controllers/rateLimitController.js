@@ -0,0 +1,92 @@
+const { trace } = require("@opentelemetry/api");
+const {
+  RATE_LIMIT_SCOPES,
+  validateRateLimit,
+  setRateLimit,
+  removeRateLimit,
+  listRateLimits,
+} = require("../rateLimits");
+
+// List the rate limits with their current usage
+exports.getRateLimits = async (req, res) => {
+  const span = trace
+    .getTracer("redis-job-service")
+    .startSpan("get_rate_limits");
+  try {
+    res.status(200).json({ success: true, rateLimits: await listRateLimits() });
+  } catch (error) {
+    span.recordException(error);
+    console.error("Error fetching rate limits: ", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to fetch rate limits" });
+  } finally {
+    span.end();
+  }
+};
+
+// Create or replace the rate limit of a job type or tenant
+exports.setRateLimit = async (req, res) => {
+  const span = trace.getTracer("redis-job-service").startSpan("set_rate_limit");
+  try {
+    const { scope, name } = req.params;
+    span.setAttributes({ scope, name });
+
+    if (!RATE_LIMIT_SCOPES.includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        message: `scope must be one of ${RATE_LIMIT_SCOPES.join(", ")}`,
+      });
+    }
+
+    let limit;
+    try {
+      limit = validateRateLimit(req.body);
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    await setRateLimit(scope, name, limit);
+
+    res.status(200).json({
+      success: true,
+      message: "Rate limit saved",
+      rateLimit: { scope, name, ...limit },
+    });
+  } catch (error) {
+    span.recordException(error);
+    console.error("Error saving rate limit: ", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to save rate limit" });
+  } finally {
+    span.end();
+  }
+};
+
+// Remove the rate limit of a job type or tenant
+exports.deleteRateLimit = async (req, res) => {
+  const span = trace
+    .getTracer("redis-job-service")
+    .startSpan("delete_rate_limit");
+  try {
+    const { scope, name } = req.params;
+    span.setAttributes({ scope, name });
+
+    if (!(await removeRateLimit(scope, name))) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Rate limit not found" });
+    }
+
+    res.status(200).json({ success: true, message: "Rate limit removed" });
+  } catch (error) {
+    span.recordException(error);
+    console.error("Error removing rate limit: ", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to remove rate limit" });
+  } finally {
+    span.end();
+  }
+};
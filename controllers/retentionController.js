@@ -0,0 +1,125 @@
+const { trace } = require("@opentelemetry/api");
+const {
+  RETENTION_STATUSES,
+  validateRetention,
+  setRetentionPolicy,
+  removeRetentionPolicy,
+  listRetentionPolicies,
+  sweepExpiredJobs,
+} = require("../retention");
+
+// List the retention policies
+exports.getRetentionPolicies = async (req, res) => {
+  const span = trace
+    .getTracer("redis-job-service")
+    .startSpan("get_retention_policies");
+  try {
+    res
+      .status(200)
+      .json({ success: true, policies: await listRetentionPolicies() });
+  } catch (error) {
+    span.recordException(error);
+    console.error("Error fetching retention policies: ", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to fetch retention policies" });
+  } finally {
+    span.end();
+  }
+};
+
+// Create or replace the retention of a status, or of a status of one job
+// type
+exports.setRetentionPolicy = async (req, res) => {
+  const span = trace
+    .getTracer("redis-job-service")
+    .startSpan("set_retention_policy");
+  try {
+    const { status, type } = req.params;
+    span.setAttributes({ status, type: type || "" });
+
+    if (!RETENTION_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of ${RETENTION_STATUSES.join(", ")}`,
+      });
+    }
+
+    let policy;
+    try {
+      policy = validateRetention(req.body);
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    await setRetentionPolicy(status, type, policy);
+
+    res.status(200).json({
+      success: true,
+      message: "Retention policy saved",
+      policy: { status, type: type || null, ...policy },
+    });
+  } catch (error) {
+    span.recordException(error);
+    console.error("Error saving retention policy: ", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to save retention policy" });
+  } finally {
+    span.end();
+  }
+};
+
+// Remove a retention policy, finished jobs are then kept until deleted
+exports.deleteRetentionPolicy = async (req, res) => {
+  const span = trace
+    .getTracer("redis-job-service")
+    .startSpan("delete_retention_policy");
+  try {
+    const { status, type } = req.params;
+    span.setAttributes({ status, type: type || "" });
+
+    if (!(await removeRetentionPolicy(status, type))) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Retention policy not found" });
+    }
+
+    res
+      .status(200)
+      .json({ success: true, message: "Retention policy removed" });
+  } catch (error) {
+    span.recordException(error);
+    console.error("Error removing retention policy: ", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to remove retention policy" });
+  } finally {
+    span.end();
+  }
+};
+
+// Remove the expired jobs now instead of waiting for the workers' sweep
+exports.sweepExpiredJobs = async (req, res) => {
+  const span = trace
+    .getTracer("redis-job-service")
+    .startSpan("sweep_expired_jobs");
+  try {
+    const expired = await sweepExpiredJobs();
+    span.setAttributes({ expired });
+
+    res.status(200).json({
+      success: true,
+      message: `${expired} expired job(s) removed`,
+      expired,
+    });
+  } catch (error) {
+    span.recordException(error);
+    console.error("Error sweeping expired jobs: ", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to sweep expired jobs" });
+  } finally {
+    span.end();
+  }
+};
@@ -0,0 +1,297 @@
+const redis = require("../redisClient");
+const { trace } = require("@opentelemetry/api");
+const {
+  SCHEDULE_INDEX_KEY,
+  SCHEDULE_RUNS_KEY,
+  createScheduleId,
+  getHistoryKey,
+  buildSchedule,
+  computeNextRun,
+} = require("../scheduler");
+
+// Ids from a request are only used as keys once they are known schedules,
+// so no other key, e.g. a job, is ever read or written through them
+const isSchedule = async (scheduleId) =>
+  (await redis.sismember(SCHEDULE_INDEX_KEY, scheduleId)) === 1;
+
+// Fetch a schedule and its id, or null if it does not exist
+const findSchedule = async (scheduleId) => {
+  if (!(await isSchedule(scheduleId))) return null;
+
+  const schedule = await redis.hgetall(scheduleId);
+  if (!schedule || Object.keys(schedule).length === 0) return null;
+  return { scheduleId, ...schedule };
+};
+
+// Create a recurring schedule
+exports.createSchedule = async (req, res) => {
+  const span = trace
+    .getTracer("redis-job-service")
+    .startSpan("create_schedule");
+  try {
+    let schedule;
+    try {
+      schedule = await buildSchedule(req.body);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        errors: error.errors,
+      });
+    }
+
+    const scheduleId = createScheduleId();
+    const now = Date.now();
+
+    schedule.status = "ACTIVE";
+    schedule.created_at = now;
+    schedule.updated_at = now;
+    schedule.next_run_at = computeNextRun(schedule, now);
+
+    span.setAttributes({ scheduleId, type: schedule.type });
+
+    await redis
+      .multi()
+      .hset(scheduleId, schedule)
+      .sadd(SCHEDULE_INDEX_KEY, scheduleId)
+      .zadd(SCHEDULE_RUNS_KEY, schedule.next_run_at, scheduleId)
+      .exec();
+
+    res.status(201).json({
+      success: true,
+      message: "Schedule created",
+      scheduleId,
+      schedule: await findSchedule(scheduleId),
+    });
+  } catch (error) {
+    span.recordException(error);
+    console.error("Error creating schedule: ", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to create schedule" });
+  } finally {
+    span.end();
+  }
+};
+
+// List all schedules
+exports.getAllSchedules = async (req, res) => {
+  const span = trace
+    .getTracer("redis-job-service")
+    .startSpan("get_all_schedules");
+  try {
+    const scheduleIds = await redis.smembers(SCHEDULE_INDEX_KEY);
+    const schedules = [];
+
+    for (const scheduleId of scheduleIds) {
+      const schedule = await findSchedule(scheduleId);
+      if (schedule) schedules.push(schedule);
+    }
+
+    res.status(200).json({ success: true, schedules });
+  } catch (error) {
+    span.recordException(error);
+    console.error("Error fetching schedules: ", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to fetch schedules" });
+  } finally {
+    span.end();
+  }
+};
+
+// Get a schedule with the jobs it produced
+exports.getSchedule = async (req, res) => {
+  const span = trace.getTracer("redis-job-service").startSpan("get_schedule");
+  try {
+    const { scheduleId } = req.params;
+    span.setAttributes({ scheduleId });
+
+    const schedule = await findSchedule(scheduleId);
+    if (!schedule) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Schedule not found" });
+    }
+
+    const history = (await redis.lrange(getHistoryKey(scheduleId), 0, -1)).map(
+      (entry) => JSON.parse(entry)
+    );
+
+    res.status(200).json({ success: true, schedule, history });
+  } catch (error) {
+    span.recordException(error);
+    console.error("Error fetching schedule: ", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to fetch schedule" });
+  } finally {
+    span.end();
+  }
+};
+
+// Update a schedule, the next run is recalculated from now
+exports.updateSchedule = async (req, res) => {
+  const span = trace
+    .getTracer("redis-job-service")
+    .startSpan("update_schedule");
+  try {
+    const { scheduleId } = req.params;
+    span.setAttributes({ scheduleId });
+
+    const existing = (await isSchedule(scheduleId))
+      ? await redis.hgetall(scheduleId)
+      : null;
+    if (!existing || Object.keys(existing).length === 0) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Schedule not found" });
+    }
+
+    let schedule;
+    try {
+      schedule = await buildSchedule(req.body, existing);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        errors: error.errors,
+      });
+    }
+
+    schedule.updated_at = Date.now();
+    schedule.next_run_at = computeNextRun(schedule);
+
+    const transaction = redis
+      .multi()
+      .del(scheduleId)
+      .hset(scheduleId, schedule);
+
+    if (schedule.status === "ACTIVE") {
+      transaction.zadd(SCHEDULE_RUNS_KEY, schedule.next_run_at, scheduleId);
+    }
+
+    await transaction.exec();
+
+    res.status(200).json({
+      success: true,
+      message: "Schedule updated",
+      schedule: await findSchedule(scheduleId),
+    });
+  } catch (error) {
+    span.recordException(error);
+    console.error("Error updating schedule: ", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to update schedule" });
+  } finally {
+    span.end();
+  }
+};
+
+// Pause a schedule, no jobs are enqueued until it is resumed
+exports.pauseSchedule = async (req, res) => {
+  const span = trace.getTracer("redis-job-service").startSpan("pause_schedule");
+  try {
+    const { scheduleId } = req.params;
+    span.setAttributes({ scheduleId });
+
+    if (!(await findSchedule(scheduleId))) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Schedule not found" });
+    }
+
+    await redis
+      .multi()
+      .hset(scheduleId, "status", "PAUSED", "updated_at", Date.now())
+      .zrem(SCHEDULE_RUNS_KEY, scheduleId)
+      .exec();
+
+    res.status(200).json({ success: true, message: "Schedule paused" });
+  } catch (error) {
+    span.recordException(error);
+    console.error("Error pausing schedule: ", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to pause schedule" });
+  } finally {
+    span.end();
+  }
+};
+
+// Resume a paused schedule from its next occurrence
+exports.resumeSchedule = async (req, res) => {
+  const span = trace
+    .getTracer("redis-job-service")
+    .startSpan("resume_schedule");
+  try {
+    const { scheduleId } = req.params;
+    span.setAttributes({ scheduleId });
+
+    const schedule = await findSchedule(scheduleId);
+    if (!schedule) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Schedule not found" });
+    }
+
+    const nextRunAt = computeNextRun(schedule);
+
+    await redis
+      .multi()
+      .hset(scheduleId, {
+        status: "ACTIVE",
+        next_run_at: nextRunAt,
+        updated_at: Date.now(),
+      })
+      .zadd(SCHEDULE_RUNS_KEY, nextRunAt, scheduleId)
+      .exec();
+
+    res.status(200).json({ success: true, message: "Schedule resumed" });
+  } catch (error) {
+    span.recordException(error);
+    console.error("Error resuming schedule: ", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to resume schedule" });
+  } finally {
+    span.end();
+  }
+};
+
+// Delete a schedule and its history, jobs already produced are kept
+exports.deleteSchedule = async (req, res) => {
+  const span = trace
+    .getTracer("redis-job-service")
+    .startSpan("delete_schedule");
+  try {
+    const { scheduleId } = req.params;
+    span.setAttributes({ scheduleId });
+
+    if (!(await findSchedule(scheduleId))) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Schedule not found" });
+    }
+
+    await redis
+      .multi()
+      .del(scheduleId, getHistoryKey(scheduleId))
+      .srem(SCHEDULE_INDEX_KEY, scheduleId)
+      .zrem(SCHEDULE_RUNS_KEY, scheduleId)
+      .exec();
+
+    res
+      .status(200)
+      .json({ success: true, message: "Schedule deleted successfully" });
+  } catch (error) {
+    span.recordException(error);
+    console.error("Error deleting schedule: ", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to delete schedule" });
+  } finally {
+    span.end();
+  }
+};
@@ -0,0 +1,88 @@
+const { trace } = require("@opentelemetry/api");
+const { validateTenant } = require("../rateLimits");
+const {
+  validateQuota,
+  setTenantQuota,
+  removeTenantQuota,
+  listTenantQuotas,
+} = require("../tenants");
+
+// List the tenant quotas with the unfinished jobs counted against them
+exports.getTenantQuotas = async (req, res) => {
+  const span = trace
+    .getTracer("redis-job-service")
+    .startSpan("get_tenant_quotas");
+  try {
+    res.status(200).json({ success: true, quotas: await listTenantQuotas() });
+  } catch (error) {
+    span.recordException(error);
+    console.error("Error fetching tenant quotas: ", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to fetch tenant quotas" });
+  } finally {
+    span.end();
+  }
+};
+
+// Create or replace the quota of a tenant
+exports.setTenantQuota = async (req, res) => {
+  const span = trace
+    .getTracer("redis-job-service")
+    .startSpan("set_tenant_quota");
+  try {
+    const { tenant } = req.params;
+    span.setAttributes({ tenant });
+
+    let quota;
+    try {
+      validateTenant(tenant);
+      quota = validateQuota(req.body);
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    await setTenantQuota(tenant, quota);
+
+    res.status(200).json({
+      success: true,
+      message: "Tenant quota saved",
+      quota: { tenant, ...quota },
+    });
+  } catch (error) {
+    span.recordException(error);
+    console.error("Error saving tenant quota: ", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to save tenant quota" });
+  } finally {
+    span.end();
+  }
+};
+
+// Remove the quota of a tenant
+exports.deleteTenantQuota = async (req, res) => {
+  const span = trace
+    .getTracer("redis-job-service")
+    .startSpan("delete_tenant_quota");
+  try {
+    const { tenant } = req.params;
+    span.setAttributes({ tenant });
+
+    if (!(await removeTenantQuota(tenant))) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Tenant quota not found" });
+    }
+
+    res.status(200).json({ success: true, message: "Tenant quota removed" });
+  } catch (error) {
+    span.recordException(error);
+    console.error("Error removing tenant quota: ", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to remove tenant quota" });
+  } finally {
+    span.end();
+  }
+};
@@ -1,26 +1,30 @@
-const redis = require("../redisClient");
 const { trace } = require("@opentelemetry/api");
+const { WORKER_TIMEOUT, listWorkers } = require("../workerRegistry");
 
 exports.getWorkerHealth = async (req, res) => {
   const span = trace
     .getTracer("redis-job-service")
     .startSpan("get_workers_health");
   try {
-    const workerKeys = await redis.keys("worker:*");
-    const workers = [];
-
-    for (const key of workerKeys) {
-      const worker = await redis.hgetall(key);
-      if (worker) {
-        const isAlive = Date.now() - worker.last_seen < 10000;
-        workers.push({
-          worker_id: key,
-          queue: worker.queue,
-          status: isAlive ? "ALIVE" : "DEAD",
-          last_seen: new Date(parseInt(worker.last_seen, 10)).toISOString(),
-        });
-      }
-    }
+    // Workers come from the registry, their heartbeat key may have expired.
+    // Live workers report ALIVE, DRAINING, DRAINED or STOPPING.
+    const workers = (await listWorkers()).map(
+      ({ workerId, lastSeen, details }) => ({
+        worker_id: workerId,
+        queue: details.queue,
+        instance_id: details.instance_id,
+        concurrency: parseInt(details.concurrency || 1, 10),
+        busy_slots: parseInt(details.busy_slots || 0, 10),
+        current_jobs: details.current_jobs
+          ? details.current_jobs.split(",")
+          : [],
+        status:
+          Date.now() - lastSeen < WORKER_TIMEOUT
+            ? details.status || "ALIVE"
+            : "DEAD",
+        last_seen: new Date(lastSeen).toISOString(),
+      })
+    );
 
     res.status(200).json({ success: true, workers });
   } catch (error) {
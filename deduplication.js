@@ -0,0 +1,63 @@
+const redis = require("./redisClient");
+
+// Repeated enqueue requests with the same idempotency key within this many
+// milliseconds resolve to the job of the first one
+const IDEMPOTENCY_WINDOW = parseInt(
+  process.env.IDEMPOTENCY_WINDOW || 24 * 60 * 60 * 1000,
+  10
+);
+
+// What happens to an enqueue request whose dedupe key is held by an
+// unfinished job of the same type
+// reject: the request is refused
+// merge: no job is created, the request resolves to the existing job
+const DUPLICATE_STRATEGIES = ["reject", "merge"];
+
+const MAX_KEY_LENGTH = 256;
+
+const validateKey = (name, key) => {
+  if (typeof key !== "string" || key.length === 0) {
+    throw new Error(`${name} must be a non-empty string`);
+  }
+  if (key.length > MAX_KEY_LENGTH) {
+    throw new Error(`${name} must be at most ${MAX_KEY_LENGTH} characters`);
+  }
+  return key;
+};
+
+// Check the deduplication options of an enqueue request.
+// Throws an Error with a message meant for the client on invalid input.
+const validateDeduplication = ({ jobKey, dedupeKey, onDuplicate }) => {
+  if (dedupeKey === undefined && onDuplicate !== undefined) {
+    throw new Error("onDuplicate requires a dedupeKey");
+  }
+
+  const strategy = onDuplicate === undefined ? "reject" : onDuplicate;
+  if (!DUPLICATE_STRATEGIES.includes(strategy)) {
+    throw new Error(
+      `onDuplicate must be one of ${DUPLICATE_STRATEGIES.join(", ")}`
+    );
+  }
+
+  return {
+    idempotencyKey:
+      jobKey === undefined ? null : validateKey("Idempotency key", jobKey),
+    dedupeKey:
+      dedupeKey === undefined ? null : validateKey("dedupeKey", dedupeKey),
+    onDuplicate: strategy,
+  };
+};
+
+// Id of the job an idempotency key was first used for within the window,
+// or null. Keys of a tenant are kept under its prefix, as the enqueue
+// script does, see lua/helpers.lua.
+const findIdempotentJob = async (prefix, idempotencyKey) => {
+  return redis.get(`${prefix}idempotency:${idempotencyKey}`);
+};
+
+module.exports = {
+  IDEMPOTENCY_WINDOW,
+  DUPLICATE_STRATEGIES,
+  validateDeduplication,
+  findIdempotentJob,
+};
@@ -0,0 +1,33 @@
+// Sorted set of jobs waiting for their run time, scored by run_at
+const SCHEDULED_JOBS_KEY = "scheduled_jobs";
+
+// Work out when a job should run from a relative delay (ms) or an
+// absolute runAt (epoch ms or ISO date). Returns null for immediate jobs.
+const resolveRunAt = ({ delay, runAt }, now = Date.now()) => {
+  if (delay !== undefined && runAt !== undefined) {
+    throw new Error("Use either delay or runAt, not both");
+  }
+
+  if (delay !== undefined) {
+    if (typeof delay !== "number" || !Number.isFinite(delay) || delay < 0) {
+      throw new Error("delay must be a non-negative number of milliseconds");
+    }
+
+    return delay > 0 ? now + delay : null;
+  }
+
+  if (runAt !== undefined) {
+    const timestamp =
+      typeof runAt === "number" ? runAt : new Date(runAt).getTime();
+
+    if (!Number.isFinite(timestamp)) {
+      throw new Error("runAt must be an epoch timestamp in ms or a date");
+    }
+
+    return timestamp > now ? timestamp : null;
+  }
+
+  return null;
+};
+
+module.exports = { SCHEDULED_JOBS_KEY, resolveRunAt };
@@ -0,0 +1,82 @@
+const redis = require("./redisClient");
+
+// A dependency in one of these states will never complete
+const UNSUCCESSFUL_STATUSES = ["FAILED", "CANCELLED", "TIMED_OUT"];
+
+// States a dependent can be moved to when a dependency does not complete
+const DEPENDENCY_FAILURE_STATUSES = ["FAILED", "CANCELLED"];
+
+// Walk the dependency graph upwards and report whether it leads to jobId
+const createsCycle = async (jobId, dependencies) => {
+  const seen = new Set();
+  const stack = [...dependencies];
+
+  while (stack.length > 0) {
+    const current = stack.pop();
+    if (current === jobId) return true;
+    if (seen.has(current)) continue;
+
+    seen.add(current);
+    stack.push(...(await redis.smembers(`${current}:dependencies`)));
+  }
+
+  return false;
+};
+
+// Check that dependencies are a list of job ids and return the distinct
+// ones, without looking them up.
+// Throws an Error with a message meant for the client on invalid input.
+const validateDependencyIds = (dependencies) => {
+  if (
+    !Array.isArray(dependencies) ||
+    dependencies.some((dependency) => typeof dependency !== "string")
+  ) {
+    throw new Error("dependencies must be an array of job ids");
+  }
+
+  return [...new Set(dependencies)];
+};
+
+// Validate the dependencies of a new job of a tenant, or of none, and
+// return the ones it still has to wait for. Completed dependencies are
+// dropped right away, jobs of other tenants do not exist for it.
+// Throws an Error with a message meant for the client on invalid input.
+const resolveDependencies = async (jobId, dependencies, tenant = null) => {
+  const openDependencies = [];
+
+  for (const dependency of validateDependencyIds(dependencies)) {
+    if (dependency === jobId) {
+      throw new Error("A job cannot depend on itself");
+    }
+
+    const [status, dependencyTenant] = await redis.hmget(
+      dependency,
+      "status",
+      "tenant"
+    );
+
+    if (!status || dependencyTenant !== tenant) {
+      throw new Error(`Dependency ${dependency} does not exist`);
+    }
+
+    if (UNSUCCESSFUL_STATUSES.includes(status)) {
+      throw new Error(`Dependency ${dependency} is ${status}`);
+    }
+
+    if (status !== "COMPLETED") {
+      openDependencies.push(dependency);
+    }
+  }
+
+  if (await createsCycle(jobId, openDependencies)) {
+    throw new Error("Dependencies would create a cycle");
+  }
+
+  return openDependencies;
+};
+
+module.exports = {
+  DEPENDENCY_FAILURE_STATUSES,
+  validateDependencyIds,
+  resolveDependencies,
+};
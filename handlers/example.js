@@ -0,0 +1,17 @@
+// Demo handler that simulates work by reporting progress in 10% steps
+module.exports = async (
+  data,
+  { jobId, reportProgress, isCancelled, signal }
+) => {
+  for (let progress = 0; progress <= 100; progress += 10) {
+    // Stop early if the job was cancelled or timed out mid progress
+    if (signal.aborted || (await isCancelled())) {
+      return null;
+    }
+
+    await reportProgress(progress);
+    await new Promise((resolve) => setTimeout(resolve, 1000));
+  }
+
+  return `Success Result of Job ${jobId}`;
+};
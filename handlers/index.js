@@ -0,0 +1,130 @@
+const Ajv = require("ajv");
+
+const { toPriorityLevel } = require("../queues");
+
+// Registry of job handlers keyed by job type
+const handlers = new Map();
+
+const ajv = new Ajv({ allErrors: true });
+
+// Enqueue options a job type can set defaults for
+const DEFAULTABLE_OPTIONS = [
+  "priority",
+  "queue",
+  "delay",
+  "onDependencyFailure",
+  "onDuplicate",
+  "timeout",
+];
+
+// Register a handler function for a job type.
+// The handler is called as handler(data, context) where context exposes
+// jobId, type, reportProgress(progress), isCancelled() and signal, an
+// AbortSignal aborted when the job runs out of time.
+// Whatever the handler returns becomes the job result.
+// Options of the job type:
+// description: what the job does, shown by GET /api/job-types
+// schema: JSON Schema the job data must match on enqueue
+// priorities: the only priorities jobs of this type may be sent with
+// defaults: enqueue options used when a request leaves them out
+// retry: default retry policy
+const registerHandler = (type, handler, options = {}) => {
+  if (!type || typeof type !== "string") {
+    throw new Error("Job type must be a non-empty string");
+  }
+
+  if (typeof handler !== "function") {
+    throw new Error(`Handler for job type "${type}" must be a function`);
+  }
+
+  if (handlers.has(type)) {
+    throw new Error(`Handler for job type "${type}" is already registered`);
+  }
+
+  const { schema, priorities, defaults = {} } = options;
+
+  if (
+    priorities !== undefined &&
+    (!Array.isArray(priorities) || priorities.length === 0)
+  ) {
+    throw new Error(`Priorities of job type "${type}" must be a list`);
+  }
+
+  const unknownDefault = Object.keys(defaults).find(
+    (option) => !DEFAULTABLE_OPTIONS.includes(option)
+  );
+  if (unknownDefault) {
+    throw new Error(
+      `Job type "${type}" cannot set a default for "${unknownDefault}"`
+    );
+  }
+
+  handlers.set(type, {
+    handler,
+    options,
+    // Throws on an invalid schema or priority, so mistakes surface on startup
+    validateData: schema === undefined ? null : ajv.compile(schema),
+    levels: priorities === undefined ? null : priorities.map(toPriorityLevel),
+  });
+};
+
+const getHandler = (type) => handlers.get(type)?.handler;
+
+const getHandlerOptions = (type) => handlers.get(type)?.options || {};
+
+const listHandlers = () => Array.from(handlers.keys());
+
+const isRegistered = (type) => handlers.has(type);
+
+// Check job data against the schema of its type. Returns a list of
+// { field, message } errors, empty if the data is valid.
+const validateJobData = (type, data) => {
+  const { validateData } = handlers.get(type) || {};
+  if (!validateData || validateData(data)) return [];
+
+  return validateData.errors.map((error) => {
+    const path = `data${error.instancePath.replace(/\//g, ".")}`;
+    const { missingProperty } = error.params;
+
+    if (missingProperty) {
+      const field = `${path}.${missingProperty}`;
+      return { field, message: `${field} is required` };
+    }
+    return { field: path, message: `${path} ${error.message}` };
+  });
+};
+
+// Whether jobs of a type may be sent with a priority level
+const isPriorityAllowed = (type, level) => {
+  const { levels } = handlers.get(type) || {};
+  return !levels || levels.includes(level);
+};
+
+// The contract of every job type for clients
+const describeJobTypes = () => {
+  return Array.from(handlers.entries()).map(([type, { options }]) => ({
+    type,
+    description: options.description || null,
+    schema: options.schema || null,
+    priorities: options.priorities || null,
+    defaults: options.defaults || {},
+    retry: options.retry || null,
+  }));
+};
+
+// Built-in handlers
+registerHandler("example", require("./example"), {
+  description: "Simulates ten seconds of work, reporting progress in steps",
+  schema: { type: ["object", "null"] },
+});
+
+module.exports = {
+  registerHandler,
+  getHandler,
+  getHandlerOptions,
+  listHandlers,
+  isRegistered,
+  validateJobData,
+  isPriorityAllowed,
+  describeJobTypes,
+};
@@ -0,0 +1,110 @@
+const redis = require("./redisClient");
+
+// The job scripts publish every progress update and status change to
+// job-events:<jobId> and queue-events:<queue>, see lua/helpers.lua
+const getJobChannel = (jobId) => `job-events:${jobId}`;
+const getQueueChannel = (queueName) => `queue-events:${queueName}`;
+// Channels of every queue, or of every queue under a tenant prefix
+const getQueuesPattern = (prefix = "") => `queue-events:${prefix}*`;
+
+// A job's stream ends once it reaches one of these
+const TERMINAL_STATUSES = ["COMPLETED", "FAILED", "CANCELLED", "TIMED_OUT"];
+
+// Subscribed connections cannot run other commands, so all streams of
+// this process share one subscriber
+let subscriber = null;
+
+// Channel or pattern -> callbacks of the streams listening on it
+const listeners = new Map();
+
+const dispatch = (key, message) => {
+  const callbacks = listeners.get(key);
+  if (!callbacks) return;
+
+  let event;
+  try {
+    event = JSON.parse(message);
+  } catch (error) {
+    console.error(`Ignoring malformed job event on ${key}:`, error);
+    return;
+  }
+
+  callbacks.forEach((onEvent) => onEvent(event));
+};
+
+const getSubscriber = () => {
+  if (!subscriber) {
+    subscriber = redis.duplicate();
+    subscriber.on("message", (channel, message) => dispatch(channel, message));
+    subscriber.on("pmessage", (pattern, channel, message) =>
+      dispatch(pattern, message)
+    );
+  }
+
+  return subscriber;
+};
+
+// Call onEvent for every event on a channel, or on every channel matching
+// a pattern. Resolves to a function that stops listening.
+const subscribe = async (channel, onEvent) => {
+  const isPattern = channel.includes("*");
+  let callbacks = listeners.get(channel);
+
+  if (!callbacks) {
+    callbacks = new Set();
+    listeners.set(channel, callbacks);
+
+    if (isPattern) {
+      await getSubscriber().psubscribe(channel);
+    } else {
+      await getSubscriber().subscribe(channel);
+    }
+  }
+
+  callbacks.add(onEvent);
+
+  return async () => {
+    callbacks.delete(onEvent);
+    if (callbacks.size > 0 || listeners.get(channel) !== callbacks) return;
+
+    listeners.delete(channel);
+    if (isPattern) {
+      await getSubscriber().punsubscribe(channel);
+    } else {
+      await getSubscriber().unsubscribe(channel);
+    }
+  };
+};
+
+// Current state of a job in the shape of a published event
+const describeJob = (jobId, job) => {
+  const state = {
+    event: "state",
+    jobId,
+    queue: job.queue,
+    type: job.type,
+    status: job.status,
+    progress: parseInt(job.progress || 0, 10),
+  };
+
+  if (job.status === "COMPLETED" && job.result !== undefined) {
+    try {
+      state.result = JSON.parse(job.result);
+    } catch (error) {
+      state.result = job.result;
+    }
+  } else if (!["COMPLETED", "PROCESSING"].includes(job.status)) {
+    state.error = job.error;
+  }
+
+  return state;
+};
+
+module.exports = {
+  TERMINAL_STATUSES,
+  getQueuesPattern,
+  getJobChannel,
+  getQueueChannel,
+  subscribe,
+  describeJob,
+};
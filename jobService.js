@@ -0,0 +1,253 @@
+const { v4: uuidv4 } = require("uuid");
+
+const { toPriorityLevel, resolveQueue } = require("./queues");
+const { resolveRunAt } = require("./delayedJobs");
+const { validateRetryPolicy } = require("./retryPolicy");
+const { validateTimeout } = require("./jobTimeouts");
+const {
+  DEPENDENCY_FAILURE_STATUSES,
+  validateDependencyIds,
+  resolveDependencies,
+} = require("./dependencies");
+const { enqueueJob, enqueueJobs } = require("./jobState");
+const { validateCallback } = require("./webhooks");
+const { validateDeduplication, findIdempotentJob } = require("./deduplication");
+const { validateTenant } = require("./rateLimits");
+const { getTenantPrefix } = require("./tenants");
+const { getTraceContext } = require("./jobTracing");
+const {
+  getHandlerOptions,
+  isRegistered,
+  validateJobData,
+  isPriorityAllowed,
+} = require("./handlers");
+
+// Error of an enqueue request, listing every invalid field
+const invalidRequest = (errors) => {
+  const error = new Error(errors.map(({ message }) => message).join("; "));
+  error.errors = errors;
+  return error;
+};
+
+// Fill the options a request leaves out with the defaults of its type
+const applyTypeDefaults = (request) => {
+  const { defaults = {} } = getHandlerOptions(request.type);
+  const merged = { ...request };
+
+  for (const [option, value] of Object.entries(defaults)) {
+    if (merged[option] === undefined) merged[option] = value;
+  }
+
+  return merged;
+};
+
+// Validate an enqueue request and work out where and when the job runs.
+// Throws an Error with a message meant for the client on invalid input,
+// its errors property lists { field, message } for every invalid field.
+const buildJob = async (request) => {
+  const {
+    type,
+    data = null,
+    priority = "normal",
+    queue,
+    dependencies = [],
+    onDependencyFailure = "FAILED",
+    delay,
+    runAt,
+    retry,
+    timeout,
+    callbackUrl,
+    callbackEvents,
+    jobKey,
+    dedupeKey,
+    onDuplicate,
+    tenant,
+  } = applyTypeDefaults(request);
+
+  const errors = [];
+
+  // Run one validation, recording its error against a field
+  const check = (field, validate) => {
+    try {
+      return validate();
+    } catch (error) {
+      errors.push({ field, message: error.message });
+      return null;
+    }
+  };
+
+  if (typeof type !== "string" || type === "") {
+    errors.push({ field: "type", message: "type must be a non-empty string" });
+  } else if (!isRegistered(type)) {
+    errors.push({ field: "type", message: `Unknown job type "${type}"` });
+  } else {
+    errors.push(...validateJobData(type, data));
+  }
+
+  const level = check("priority", () => toPriorityLevel(priority));
+  if (level !== null && isRegistered(type) && !isPriorityAllowed(type, level)) {
+    errors.push({
+      field: "priority",
+      message: `Priority "${priority}" is not allowed for job type "${type}"`,
+    });
+  }
+
+  const destination =
+    level === null
+      ? null
+      : check("queue", () => resolveQueue({ queue, priority }));
+  const scheduledAt = check(delay !== undefined ? "delay" : "runAt", () =>
+    resolveRunAt({ delay, runAt })
+  );
+  const retryPolicy =
+    retry === undefined
+      ? null
+      : check("retry", () => validateRetryPolicy(retry));
+  const timeoutMs = check("timeout", () => validateTimeout(timeout));
+  const callback = check("callbackUrl", () =>
+    validateCallback({ callbackUrl, callbackEvents })
+  );
+  const deduplication = check("dedupeKey", () =>
+    validateDeduplication({ jobKey, dedupeKey, onDuplicate })
+  );
+
+  const tenantKey = check("tenant", () => validateTenant(tenant));
+
+  if (!DEPENDENCY_FAILURE_STATUSES.includes(onDependencyFailure)) {
+    errors.push({
+      field: "onDependencyFailure",
+      message: `onDependencyFailure must be one of ${DEPENDENCY_FAILURE_STATUSES.join(
+        ", "
+      )}`,
+    });
+  }
+
+  // Dependencies are looked up in Redis, only once the rest is valid
+  if (errors.length > 0) {
+    throw invalidRequest(errors);
+  }
+
+  // Jobs of a tenant live under its prefix, see tenants.js
+  const prefix = getTenantPrefix(tenantKey);
+  const jobId = `${prefix}job:${uuidv4()}`;
+
+  // A repeated request is answered with the job of the first one by the
+  // enqueue script, even if its dependencies are gone by now. Should the
+  // key expire in between, the script checks the dependencies itself.
+  const repeatOf = deduplication.idempotencyKey
+    ? await findIdempotentJob(prefix, deduplication.idempotencyKey)
+    : null;
+
+  let openDependencies;
+  try {
+    openDependencies = repeatOf
+      ? validateDependencyIds(dependencies)
+      : await resolveDependencies(jobId, dependencies, tenantKey);
+  } catch (error) {
+    throw invalidRequest([{ field: "dependencies", message: error.message }]);
+  }
+
+  return {
+    jobId,
+    type,
+    data,
+    queueName: `${prefix}${destination.queueName}`,
+    level,
+    dependencies: openDependencies,
+    onDependencyFailure,
+    scheduledAt,
+    retryPolicy,
+    timeout: timeoutMs,
+    callback,
+    deduplication,
+    tenant: tenantKey,
+  };
+};
+
+// Fields stored on a job returned by buildJob
+const toJobFields = (job) => {
+  const {
+    queueName,
+    level,
+    dependencies,
+    scheduledAt,
+    retryPolicy,
+    timeout,
+    callback,
+    deduplication,
+    tenant,
+    batchId,
+    callbackOf,
+  } = job;
+
+  // The status is decided by the enqueue script
+  const fields = {
+    type: job.type,
+    queue: queueName,
+    priority: level,
+    data: JSON.stringify(job.data),
+    retries: 0,
+    progress: 0,
+    created_at: Date.now(),
+  };
+
+  if (scheduledAt) {
+    fields.run_at = scheduledAt;
+  }
+
+  if (retryPolicy) {
+    fields.retry_policy = JSON.stringify(retryPolicy);
+  }
+
+  if (timeout) {
+    fields.timeout = timeout;
+  }
+
+  if (callback) {
+    fields.callback_url = callback.callbackUrl;
+    fields.callback_events = callback.callbackEvents.join(",");
+  }
+
+  if (dependencies.length > 0) {
+    fields.on_dependency_failure = job.onDependencyFailure;
+  }
+
+  if (deduplication.dedupeKey) {
+    fields.dedupe_key = deduplication.dedupeKey;
+  }
+
+  if (tenant) {
+    fields.tenant = tenant;
+  }
+
+  if (batchId) {
+    fields.batch_id = batchId;
+  }
+
+  if (callbackOf) {
+    fields.callback_of = callbackOf;
+  }
+
+  // The worker continues the trace of the active span, see jobTracing.js
+  Object.assign(fields, getTraceContext());
+
+  return fields;
+};
+
+// Store a job returned by buildJob and put it on its queue or schedule.
+// Shared by the enqueue endpoint and the recurring scheduler. Resolves to
+// { outcome, jobId, status }, see enqueueJob.
+const createJob = async (job) => {
+  return enqueueJob(job, toJobFields(job));
+};
+
+// Store many jobs returned by buildJob in one transaction, all or none of
+// them for the jobs of an atomic batch, see enqueueJobs
+const createJobs = async (jobs, atomicBatchId = null) => {
+  return enqueueJobs(
+    jobs.map((job) => ({ job, fields: toJobFields(job) })),
+    atomicBatchId
+  );
+};
+
+module.exports = { buildJob, createJob, createJobs };
@@ -0,0 +1,288 @@
+const redis = require("./redisClient");
+const { SCHEDULED_JOBS_KEY } = require("./delayedJobs");
+const { QUEUE_REGISTRY_KEY } = require("./queues");
+const { resolveRetryPolicy, computeRetryDelay } = require("./retryPolicy");
+const { IDEMPOTENCY_WINDOW } = require("./deduplication");
+
+// Every state change of a job runs as one of the Lua scripts in lua/,
+// so no other client ever sees a job half way through a transition
+
+const DEAD_LETTER_QUEUE = "dead_letter_queue";
+
+// Indexes and counters kept in step by the scripts, see lua/helpers.lua.
+// The index sorted sets are scored by creation time.
+const STATS_KEY = "jobs:stats";
+const JOB_INDEX_KEY = "jobs:index";
+const getStatusIndexKey = (status) => `jobs:status:${status}`;
+const getTypeIndexKey = (type) => `jobs:type:${type}`;
+// Jobs of one tenant and their counts per status
+const getTenantIndexKey = (tenant) => `jobs:tenant:${tenant}`;
+const getTenantStatsKey = (tenant) => `jobs:stats:${tenant}`;
+
+// How many due jobs are moved per pass
+const PROMOTE_BATCH_SIZE = 100;
+
+// Run a transition, resolving to null when the script refuses it because
+// of the job's current status
+const attempt = async (transition) => {
+  try {
+    return await transition();
+  } catch (error) {
+    if (error.message.startsWith("INVALID_TRANSITION")) return null;
+    throw error;
+  }
+};
+
+// Arguments of the enqueue script for a job and the fields stored on it
+const toEnqueueArgs = (job, fields) => {
+  const { jobId, queueName, level, dependencies, scheduledAt } = job;
+  const { idempotencyKey, onDuplicate } = job.deduplication;
+
+  return [
+    jobId,
+    queueName,
+    SCHEDULED_JOBS_KEY,
+    QUEUE_REGISTRY_KEY,
+    Date.now(),
+    scheduledAt || "",
+    level,
+    idempotencyKey || "",
+    IDEMPOTENCY_WINDOW,
+    onDuplicate,
+    dependencies.length,
+    ...dependencies,
+    ...Object.entries(fields).flat(),
+  ];
+};
+
+const toEnqueueResult = ([outcome, jobId, status]) => ({
+  outcome,
+  jobId: jobId || null,
+  status: status || null,
+});
+
+// Store a new job and queue it, schedule it or park it until its
+// dependencies complete. Resolves to { outcome, jobId, status }:
+// CREATED: the job was stored and starts in status
+// IDEMPOTENT: the idempotency key was already used for jobId
+// MERGED, REJECTED: the unfinished job jobId holds the dedupe key
+// QUOTA_EXCEEDED: the tenant has its quota of unfinished jobs, no jobId
+const enqueueJob = async (job, fields) => {
+  return toEnqueueResult(await redis.jobEnqueue(...toEnqueueArgs(job, fields)));
+};
+
+// Arguments of the batch check script for the jobs of an atomic batch
+const toBatchCheckArgs = (batchId, entries) => [
+  batchId,
+  ...entries.flatMap(({ job }) => [
+    job.tenant || "",
+    job.deduplication.idempotencyKey || "",
+    job.type,
+    job.deduplication.dedupeKey || "",
+    job.deduplication.onDuplicate,
+    job.dependencies.length,
+    ...job.dependencies,
+  ]),
+];
+
+// Enqueue many jobs in one transaction, given as [{ job, fields }].
+// Resolves to the result of every job as enqueueJob does, or { error }
+// for a job the script refused.
+// With the id of an atomic batch the jobs are checked together first and
+// none is enqueued unless all of them are. The job that refused the batch
+// then gets its result, every other one the outcome BATCH_REFUSED.
+const enqueueJobs = async (entries, atomicBatchId = null) => {
+  const transaction = redis.multi();
+  if (atomicBatchId) {
+    transaction.batchCheck(...toBatchCheckArgs(atomicBatchId, entries));
+  }
+  entries.forEach(({ job, fields }) =>
+    transaction.jobEnqueue(...toEnqueueArgs(job, fields))
+  );
+
+  const results = await transaction.exec();
+  const [checkError, refusal] = atomicBatchId ? results.shift() : [];
+  if (checkError) throw checkError;
+
+  return results.map(([error, result], index) => {
+    if (refusal && refusal[0] === index) {
+      const [, outcome, ...details] = refusal;
+      return outcome === "INVALID_DEPENDENCY"
+        ? { error: new Error(details[0]) }
+        : toEnqueueResult([outcome, ...details]);
+    }
+
+    return error ? { error } : toEnqueueResult(result);
+  });
+};
+
+// Take the first pending job from the given queues into the worker's
+// in-flight list. Jobs over a rate limit are deferred on the way, see
+// rateLimits.js. Resolves to null when every queue is empty.
+const claimNextJob = async (inflightKey, workerId, queueNames) => {
+  const claimed = await redis.jobClaim(
+    inflightKey,
+    SCHEDULED_JOBS_KEY,
+    Date.now(),
+    workerId,
+    ...queueNames
+  );
+  if (!claimed) return null;
+
+  const [jobId, queueName] = claimed;
+  return { jobId, queueName };
+};
+
+// Resolves to false if the job is no longer processing
+const updateProgress = async (jobId, progress) => {
+  const status = await attempt(() => redis.jobProgress(jobId, progress));
+  return status !== null;
+};
+
+// Resolves to false if the job is no longer processing, e.g. cancelled, or
+// no longer held by the worker of the in-flight list
+const completeJob = async (jobId, inflightKey, result) => {
+  const status = await attempt(() =>
+    redis.jobComplete(
+      jobId,
+      inflightKey,
+      SCHEDULED_JOBS_KEY,
+      Date.now(),
+      JSON.stringify(result === undefined ? null : result)
+    )
+  );
+  return status !== null;
+};
+
+// Record a failed attempt and either schedule the next retry or move the
+// job to the dead letter queue once its retries are used up, as TIMED_OUT
+// if the attempt ran out of time. Resolves to null if the job is no longer
+// processing or held by the worker of the in-flight list.
+const failJob = async (
+  jobId,
+  inflightKey,
+  job,
+  error,
+  { retryable = true, timedOut = false } = {}
+) => {
+  const policy = resolveRetryPolicy(job);
+  const nextRetry = parseInt(job.retries || 0, 10) + 1;
+  const message = error instanceof Error ? error.message : String(error);
+  const stack = (error instanceof Error && error.stack) || "";
+
+  const outcome = await attempt(() =>
+    redis.jobFail(
+      jobId,
+      inflightKey,
+      SCHEDULED_JOBS_KEY,
+      DEAD_LETTER_QUEUE,
+      Date.now(),
+      message,
+      stack,
+      retryable ? 1 : 0,
+      policy.maxRetries,
+      computeRetryDelay(policy, nextRetry),
+      timedOut ? 1 : 0
+    )
+  );
+  if (!outcome) return null;
+
+  const [status, retries, nextAttemptAt] = outcome;
+  return { status, retries, nextAttemptAt };
+};
+
+// Hand a job the worker is giving up on back to its queue, it is picked
+// up next without using a retry. Resolves to false if the job is no
+// longer processing.
+const releaseJob = async (jobId, inflightKey) => {
+  const status = await attempt(() =>
+    redis.jobRelease(jobId, inflightKey, Date.now())
+  );
+  return status !== null;
+};
+
+// Cancel a job that has not finished yet, its waiting dependents follow.
+// Resolves to the status it was cancelled in, or null if it had finished.
+const cancelJob = async (jobId) => {
+  return attempt(() => redis.jobCancel(jobId, SCHEDULED_JOBS_KEY, Date.now()));
+};
+
+// Move every job whose run time has passed onto its target queue.
+// Covers delayed jobs as well as failed jobs waiting for a retry.
+const promoteDueJobs = async () => {
+  try {
+    const promoted = await redis.jobPromote(
+      SCHEDULED_JOBS_KEY,
+      Date.now(),
+      PROMOTE_BATCH_SIZE
+    );
+
+    for (const jobId of promoted) {
+      console.log(`Due job ${jobId} moved to its queue`);
+    }
+  } catch (error) {
+    console.error("Error promoting scheduled jobs:", error);
+  }
+};
+
+// Take a job out of the dead letter queue and put it back on its queue.
+// Resolves to false if the job is not dead-lettered.
+const requeueDeadLetterJob = async (jobId, { resetRetries, data } = {}) => {
+  const status = await attempt(() =>
+    redis.jobRequeue(
+      jobId,
+      DEAD_LETTER_QUEUE,
+      Date.now(),
+      resetRetries ? 1 : 0,
+      data === undefined ? 0 : 1,
+      data === undefined ? "" : JSON.stringify(data)
+    )
+  );
+  return status !== null;
+};
+
+// Delete a job and drop it from every index, queue and schedule.
+// Resolves to false if the job does not exist.
+const deleteJob = async (jobId) => {
+  const deleted = await redis.jobDelete(
+    jobId,
+    SCHEDULED_JOBS_KEY,
+    DEAD_LETTER_QUEUE
+  );
+  return deleted === 1;
+};
+
+// Delete a finished job whose retention has run out, provided it is still
+// due to expire by dueBy. Resolves to false otherwise, e.g. if the job was
+// requeued in the meantime.
+const expireJob = async (jobId, dueBy) => {
+  const expired = await redis.jobDelete(
+    jobId,
+    SCHEDULED_JOBS_KEY,
+    DEAD_LETTER_QUEUE,
+    dueBy
+  );
+  return expired === 1;
+};
+
+module.exports = {
+  DEAD_LETTER_QUEUE,
+  STATS_KEY,
+  JOB_INDEX_KEY,
+  getStatusIndexKey,
+  getTypeIndexKey,
+  getTenantIndexKey,
+  getTenantStatsKey,
+  enqueueJob,
+  enqueueJobs,
+  claimNextJob,
+  updateProgress,
+  completeJob,
+  failJob,
+  releaseJob,
+  cancelJob,
+  promoteDueJobs,
+  requeueDeadLetterJob,
+  deleteJob,
+  expireJob,
+};
@@ -0,0 +1,80 @@
+const redis = require("./redisClient");
+const { failJob } = require("./jobState");
+const { getInflightKey } = require("./reaper");
+
+// Sorted set of processing jobs with a timeout, scored by the time it runs
+// out. The claim script adds a job from its start time, see lua/claim.lua.
+const PROCESSING_DEADLINES_KEY = "processing_deadlines";
+
+// The worker running a job times it out itself. Other workers only step in
+// this long after the deadline, e.g. when it crashed or hangs.
+const TIMEOUT_GRACE = 30000;
+
+// How many overdue jobs are timed out per pass
+const REAP_BATCH_SIZE = 100;
+
+// Check the timeout of an enqueue request or a job type default.
+// Throws an Error with a message meant for the client on invalid input.
+const validateTimeout = (timeout) => {
+  if (timeout === undefined) return null;
+
+  if (!Number.isInteger(timeout) || timeout < 1) {
+    throw new Error("timeout must be a positive number of milliseconds");
+  }
+
+  return timeout;
+};
+
+// Error of an attempt that ran out of time, failJob records it as such
+const timeoutError = (timeout) => {
+  const error = new Error(`Job timed out after ${timeout} ms`);
+  error.timedOut = true;
+  return error;
+};
+
+// Time out the jobs whose worker did not do so within TIMEOUT_GRACE of
+// their deadline, going by the start time the claim recorded. Resolves to
+// the number of timed out jobs.
+const reapTimedOutJobs = async (now = Date.now()) => {
+  const jobIds = await redis.zrangebyscore(
+    PROCESSING_DEADLINES_KEY,
+    "-inf",
+    now - TIMEOUT_GRACE,
+    "LIMIT",
+    0,
+    REAP_BATCH_SIZE
+  );
+
+  let timedOut = 0;
+  for (const jobId of jobIds) {
+    const job = await redis.hgetall(jobId);
+
+    // Left behind by a job that is gone
+    if (!job.status) {
+      await redis.zrem(PROCESSING_DEADLINES_KEY, jobId);
+      continue;
+    }
+
+    // The fail script refuses jobs that are no longer processing, so a
+    // worker finishing the job meanwhile wins
+    const outcome = await failJob(
+      jobId,
+      getInflightKey(job.worker_id),
+      job,
+      timeoutError(parseInt(job.timeout, 10)),
+      { timedOut: true }
+    );
+    if (!outcome) continue;
+
+    timedOut++;
+    console.log(
+      outcome.status === "RETRY_SCHEDULED"
+        ? `Job ${jobId} of worker ${job.worker_id} timed out, retry ${outcome.retries} scheduled`
+        : `Job ${jobId} of worker ${job.worker_id} timed out, moved to dead letter queue`
+    );
+  }
+
+  return timedOut;
+};
+
+module.exports = { validateTimeout, timeoutError, reapTimedOutJobs };
@@ -0,0 +1,104 @@
+const {
+  context,
+  propagation,
+  trace,
+  ROOT_CONTEXT,
+  SpanKind,
+  SpanStatusCode,
+} = require("@opentelemetry/api");
+
+const tracer = trace.getTracer("redis-job-service");
+
+// W3C trace context (traceparent and tracestate) of the active span. It is
+// stored on a job so that its processing joins the trace of the request
+// that enqueued it.
+const getTraceContext = () => {
+  const carrier = {};
+  propagation.inject(context.active(), carrier);
+  return carrier;
+};
+
+const toTime = (value) => (value ? Number(value) : null);
+
+// Record a span for something that already happened
+const recordSpan = (name, parentContext, startTime, endTime, attributes) => {
+  if (!startTime || !endTime || endTime < startTime) return;
+  tracer.startSpan(name, { startTime, attributes }, parentContext).end(endTime);
+};
+
+// Run one attempt of a job inside a process_job span that continues the
+// trace it was enqueued in and links to the enqueue span. What the job
+// waited for since it was created or since its last failed attempt is
+// recorded as child spans, the attempt itself runs in an attempt span.
+const traceJobAttempt = async (jobId, job, run) => {
+  const enqueueContext = propagation.extract(ROOT_CONTEXT, {
+    traceparent: job.traceparent,
+    tracestate: job.tracestate,
+  });
+  const enqueueSpan = trace.getSpanContext(enqueueContext);
+
+  const attempt = parseInt(job.retries || 0, 10) + 1;
+  const attributes = {
+    "job.id": jobId,
+    "job.type": job.type || "",
+    "job.queue": job.queue || "",
+    "job.attempt": attempt,
+  };
+
+  const queuedAt = toTime(job.queued_at);
+  const startedAt = toTime(job.started_at) || Date.now();
+  const dependencyWait =
+    attempt === 1 && job.on_dependency_failure
+      ? [toTime(job.created_at), queuedAt]
+      : null;
+  const retryWait = attempt > 1 ? [toTime(job.failed_at), queuedAt] : null;
+  const waitStart = (dependencyWait || retryWait || [queuedAt])[0];
+
+  const jobSpan = tracer.startSpan(
+    "process_job",
+    {
+      kind: SpanKind.CONSUMER,
+      startTime: Math.min(waitStart || startedAt, startedAt),
+      attributes,
+      links: enqueueSpan ? [{ context: enqueueSpan }] : [],
+    },
+    enqueueContext
+  );
+  const jobContext = trace.setSpan(enqueueContext, jobSpan);
+
+  if (dependencyWait) {
+    recordSpan("dependency_wait", jobContext, ...dependencyWait, attributes);
+  }
+  if (retryWait) {
+    recordSpan("retry_wait", jobContext, ...retryWait, {
+      ...attributes,
+      "job.previous_error": job.error || "",
+    });
+  }
+  recordSpan("queue_wait", jobContext, queuedAt, startedAt, attributes);
+
+  const attemptSpan = tracer.startSpan("attempt", { attributes }, jobContext);
+  try {
+    return await context.with(trace.setSpan(jobContext, attemptSpan), run);
+  } finally {
+    attemptSpan.end();
+    jobSpan.end();
+  }
+};
+
+// Mark the running attempt as failed, with the retry it led to if any
+const recordAttemptFailure = (error, outcome) => {
+  const span = trace.getActiveSpan();
+  if (!span) return;
+
+  span.recordException(error);
+  span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+  if (outcome && outcome.status === "RETRY_SCHEDULED") {
+    span.addEvent("retry_scheduled", {
+      "job.retry": outcome.retries,
+      "job.next_attempt_at": new Date(outcome.nextAttemptAt).toISOString(),
+    });
+  }
+};
+
+module.exports = { getTraceContext, traceJobAttempt, recordAttemptFailure };
@@ -0,0 +1,87 @@
+-- Check the jobs of an atomic batch together before any is enqueued. Run
+-- in the same transaction as their enqueue scripts, so nothing changes in
+-- between. A refused batch is removed, the enqueue script then leaves its
+-- jobs out.
+-- KEYS[1] batch id
+-- ARGV is a list of jobs, each given as tenant or "", idempotency key or
+-- "", type, dedupe key or "", "reject" or "merge", number of dependencies
+-- n and the n dependency ids
+-- Returns nothing if every job can be enqueued, otherwise the refusal of
+-- the first job that cannot: { index, "REJECTED", job id, status },
+-- { index, "QUOTA_EXCEEDED" } or { index, "INVALID_DEPENDENCY", message }
+local batch_id = KEYS[1]
+
+-- Keys taken by earlier jobs of the batch
+local used_idempotency = {}
+local used_unique = {}
+-- Jobs the batch adds per tenant
+local created = {}
+
+-- Refusal the enqueue script would give a job, nil if it takes the job
+local function check_job(tenant, key, job_type, dedupe_key, on_duplicate, dependencies)
+  -- A repeated submission is answered with the job of the first one
+  local idempotency = key ~= "" and idempotency_key(tenant, key) or nil
+  if idempotency
+    and (used_idempotency[idempotency] or redis.call("GET", idempotency)) then
+    return nil
+  end
+
+  if dedupe_key ~= "" then
+    local unique = unique_key(tenant, job_type, dedupe_key)
+    local holder = redis.call("GET", unique)
+    local holder_status = holder and redis.call("HGET", holder, "status")
+
+    if used_unique[unique]
+      or (holder_status and UNFINISHED_STATUSES[holder_status]) then
+      if on_duplicate ~= "merge" then
+        return { "REJECTED", holder or "", holder_status or "" }
+      end
+      return nil
+    end
+    used_unique[unique] = true
+  end
+
+  local tenant_key = tenant or ""
+  created[tenant_key] = (created[tenant_key] or 0) + 1
+  local left = quota_left(tenant)
+  if left and created[tenant_key] > left then
+    return { "QUOTA_EXCEEDED" }
+  end
+
+  for _, dependency in ipairs(dependencies) do
+    local invalid = dependency_error(dependency, tenant)
+    if invalid then
+      return { "INVALID_DEPENDENCY", invalid }
+    end
+  end
+
+  if idempotency then
+    used_idempotency[idempotency] = true
+  end
+
+  return nil
+end
+
+local i = 1
+local index = 0
+while i <= #ARGV do
+  local tenant = ARGV[i] ~= "" and ARGV[i] or nil
+  local dependency_count = tonumber(ARGV[i + 5])
+  local dependencies = {}
+  for j = i + 6, i + 5 + dependency_count do
+    table.insert(dependencies, ARGV[j])
+  end
+
+  local refusal = check_job(
+    tenant, ARGV[i + 1], ARGV[i + 2], ARGV[i + 3], ARGV[i + 4], dependencies
+  )
+  if refusal then
+    redis.call("DEL", batch_id)
+    return { index, unpack(refusal) }
+  end
+
+  index = index + 1
+  i = i + 6 + dependency_count
+end
+
+return nil
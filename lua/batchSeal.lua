@@ -0,0 +1,9 @@
+-- Mark a batch as holding all of its members, it completes once they have
+-- all finished
+-- KEYS[1] batch id
+local batch_id = KEYS[1]
+
+redis.call("HSET", batch_id, "sealed", 1)
+check_batch(batch_id)
+
+return redis.call("HGET", batch_id, "status")
@@ -0,0 +1,23 @@
+-- Cancel a job that has not finished yet
+-- KEYS[1] job id, KEYS[2] scheduled jobs
+-- ARGV[1] now
+local job_id = KEYS[1]
+local job = redis.call("HMGET", job_id, "status", "queue")
+local status = job[1]
+
+if not status or not UNFINISHED_STATUSES[status] then
+  return invalid_transition(job_id, status)
+end
+
+set_status(job_id, "CANCELLED")
+redis.call("HSET", job_id, "cancelled_at", ARGV[1])
+redis.call("ZREM", KEYS[2], job_id)
+
+-- A processing job is stopped by its worker, a pending one leaves the queue
+if status == "PENDING" then
+  redis.call("LREM", job[2] or "normal_jobs", 1, job_id)
+end
+
+fail_dependents(job_id, "CANCELLED", ARGV[1])
+
+return status
@@ -0,0 +1,109 @@
+-- Take the next pending job from the first non-empty queue and mark it
+-- as processing by this worker. Jobs over a rate limit of their type or
+-- tenant are deferred until the limit has room again.
+-- KEYS[1] in-flight list of the worker, KEYS[2] scheduled jobs
+-- ARGV[1] now, ARGV[2] worker id, ARGV[3 ..] queues in the order to try
+local now = tonumber(ARGV[1])
+
+-- Rate limit windows go by the Redis clock, the clocks of the workers
+-- claiming jobs may differ
+local window_now = current_time()
+
+-- Limits are JSON { max, interval } keyed by "type:<type>" or
+-- "tenant:<tenant>", see rateLimits.js
+local RATE_LIMITS_KEY = "rate_limits"
+local RATE_LIMIT_STATS_KEY = "rate_limit_stats"
+
+-- Bounds the work of one claim when a queue is full of throttled jobs
+local MAX_DEFERRALS = 100
+
+-- Sliding window log of the claims counted against each limit of the job.
+-- Returns the scope that is full and how long until it has room, or nil
+-- after counting the claim against every limit.
+local function take_rate_limits(job_id)
+  local job = redis.call("HMGET", job_id, "type", "tenant")
+  local windows = {}
+  local full_scope, wait = nil, 0
+
+  for _, scope in ipairs({
+    job[1] and "type:" .. job[1] or false,
+    job[2] and "tenant:" .. job[2] or false,
+  }) do
+    local config = scope and redis.call("HGET", RATE_LIMITS_KEY, scope)
+    if config then
+      local limit = cjson.decode(config)
+      local key = "rate_limit:" .. scope
+      redis.call("ZREMRANGEBYSCORE", key, "-inf", window_now - limit.interval)
+
+      if redis.call("ZCARD", key) >= limit.max then
+        local oldest = redis.call("ZRANGE", key, 0, 0, "WITHSCORES")
+        local scope_wait = tonumber(oldest[2]) + limit.interval - window_now
+        if scope_wait > wait then
+          full_scope, wait = scope, scope_wait
+        end
+      else
+        table.insert(windows, { key, limit.interval })
+      end
+    end
+  end
+
+  if full_scope then
+    return full_scope, math.max(wait, 1)
+  end
+
+  for _, window in ipairs(windows) do
+    redis.call("ZADD", window[1], window_now, job_id .. ":" .. window_now)
+    redis.call("PEXPIRE", window[1], window[2])
+  end
+  return nil
+end
+
+-- Park a throttled job in the schedule until its limit has room
+local function defer(job_id, scope, wait)
+  set_status(job_id, "SCHEDULED")
+  redis.call(
+    "HSET", job_id,
+    "run_at", now + wait,
+    "throttled_at", now,
+    "throttled_by", scope
+  )
+  redis.call("ZADD", KEYS[2], now + wait, job_id)
+  redis.call("HINCRBY", RATE_LIMIT_STATS_KEY, scope .. ":deferred", 1)
+  redis.call("HSET", RATE_LIMIT_STATS_KEY, scope .. ":throttled_at", now)
+end
+
+local deferrals = 0
+
+for i = 3, #ARGV do
+  local queue = ARGV[i]
+
+  while deferrals < MAX_DEFERRALS do
+    local job_id = redis.call("RPOP", queue)
+    if not job_id then
+      break
+    end
+
+    -- Entries of cancelled, deleted or already handled jobs are dropped
+    if redis.call("HGET", job_id, "status") == "PENDING" then
+      local full_scope, wait = take_rate_limits(job_id)
+
+      if full_scope then
+        defer(job_id, full_scope, wait)
+        deferrals = deferrals + 1
+      else
+        set_status(job_id, "PROCESSING")
+        redis.call("HSET", job_id, "started_at", ARGV[1], "worker_id", ARGV[2])
+        redis.call("LPUSH", KEYS[1], job_id)
+
+        -- Timed out from outside the worker if it never reports back
+        local timeout = tonumber(redis.call("HGET", job_id, "timeout"))
+        if timeout then
+          redis.call("ZADD", PROCESSING_DEADLINES_KEY, now + timeout, job_id)
+        end
+        return { job_id, queue }
+      end
+    end
+  end
+end
+
+return false
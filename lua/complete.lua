@@ -0,0 +1,25 @@
+-- Mark a processing job as completed and release its dependents
+-- KEYS[1] job id, KEYS[2] in-flight list, KEYS[3] scheduled jobs
+-- ARGV[1] now, ARGV[2] result
+local job_id = KEYS[1]
+local now = tonumber(ARGV[1])
+local status = redis.call("HGET", job_id, "status")
+
+-- The worker is done with the job either way. A worker that no longer
+-- holds the job, e.g. after it was reaped and claimed again, is refused.
+local held = redis.call("LREM", KEYS[2], 1, job_id) == 1
+
+if status ~= "PROCESSING" or not held then
+  return invalid_transition(job_id, status)
+end
+
+redis.call(
+  "HSET", job_id,
+  "progress", 100,
+  "result", ARGV[2],
+  "finished_at", now
+)
+set_status(job_id, "COMPLETED")
+resolve_dependents(job_id, KEYS[3], now)
+
+return "COMPLETED"
@@ -0,0 +1,59 @@
+-- Delete a job with its dependency sets and drop it from every index,
+-- queue and schedule
+-- KEYS[1] job id, KEYS[2] scheduled jobs, KEYS[3] dead letter queue
+-- ARGV[1] optional, only delete the job if it is due to expire by then
+local job_id = KEYS[1]
+local job = redis.call("HMGET", job_id, "status", "queue", "type", "tenant")
+local status = job[1]
+
+if not status then
+  return 0
+end
+
+-- The job may have been requeued or kept longer since it came due
+local expiring = ARGV[1] ~= nil
+if expiring then
+  local expires_at = redis.call("ZSCORE", EXPIRING_JOBS_KEY, job_id)
+  if not expires_at or tonumber(expires_at) > tonumber(ARGV[1]) then
+    return 0
+  end
+end
+
+redis.call("ZREM", status_index(status), job_id)
+redis.call("HINCRBY", STATS_KEY, status, -1)
+redis.call("ZREM", JOB_INDEX_KEY, job_id)
+if job[3] then
+  redis.call("ZREM", type_index(job[3]), job_id)
+end
+if job[4] then
+  redis.call("ZREM", tenant_index(job[4]), job_id)
+  redis.call("HINCRBY", tenant_stats(job[4]), status, -1)
+end
+
+update_unique(job_id, nil)
+-- A batch does not wait for a deleted member
+update_batch(job_id, status, "DELETED")
+update_expiry(job_id, nil)
+
+redis.call("ZREM", KEYS[2], job_id)
+redis.call("ZREM", PROCESSING_DEADLINES_KEY, job_id)
+redis.call("LREM", KEYS[3], 1, job_id)
+if status == "PENDING" then
+  redis.call("LREM", job[2] or "normal_jobs", 1, job_id)
+end
+
+-- Streams of the job are closed by this last event
+publish_event(job_id, expiring and "expired" or "deleted")
+
+-- Its webhook deliveries go with it
+for _, delivery_id in ipairs(redis.call("LRANGE", job_id .. ":webhooks", 0, -1)) do
+  redis.call("ZREM", "webhook_deliveries", delivery_id)
+  redis.call("DEL", delivery_id)
+end
+
+redis.call(
+  "DEL", job_id,
+  job_id .. ":dependencies", job_id .. ":dependents", job_id .. ":webhooks"
+)
+
+return 1
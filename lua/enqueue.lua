@@ -0,0 +1,135 @@
+-- Create a job and queue, schedule or park it in one step
+-- KEYS[1] job id, KEYS[2] queue, KEYS[3] scheduled jobs, KEYS[4] queue registry
+-- ARGV[1] now, ARGV[2] run_at or "", ARGV[3] priority level,
+-- ARGV[4] idempotency key or "", ARGV[5] idempotency window in ms,
+-- ARGV[6] "reject" or "merge" for an unfinished job with the same
+-- dedupe_key, ARGV[7] number of dependencies n,
+-- ARGV[8 .. 7 + n] dependency ids,
+-- the remaining ARGV are field/value pairs stored on the job
+-- Returns { outcome, job id, status } where outcome is CREATED, or
+-- IDEMPOTENT, MERGED or REJECTED with the id of the job found instead,
+-- or { "QUOTA_EXCEEDED" } when the tenant has its quota of unfinished jobs,
+-- or { "BATCH_REFUSED" } for a member of a refused atomic batch
+local job_id = KEYS[1]
+local now = tonumber(ARGV[1])
+local run_at = tonumber(ARGV[2])
+local dependency_count = tonumber(ARGV[7])
+
+local fields = {}
+local job_type, dedupe_key, batch_id, callback_of, tenant
+for i = 8 + dependency_count, #ARGV, 2 do
+  table.insert(fields, ARGV[i])
+  table.insert(fields, ARGV[i + 1])
+  if ARGV[i] == "type" then
+    job_type = ARGV[i + 1]
+  elseif ARGV[i] == "dedupe_key" then
+    dedupe_key = ARGV[i + 1]
+  elseif ARGV[i] == "batch_id" then
+    batch_id = ARGV[i + 1]
+  elseif ARGV[i] == "callback_of" then
+    callback_of = ARGV[i + 1]
+  elseif ARGV[i] == "tenant" then
+    tenant = ARGV[i + 1]
+  end
+end
+
+-- The batch is removed when its atomic check refused it, its jobs and
+-- its completion callback are then left out, see lua/batchCheck.lua
+local batch = batch_id or callback_of
+if batch and redis.call("EXISTS", batch) == 0 then
+  return { "BATCH_REFUSED" }
+end
+
+-- A repeated submission gets the job of the first one
+local idempotency = ARGV[4] ~= "" and idempotency_key(tenant, ARGV[4]) or nil
+if idempotency then
+  local original = redis.call("GET", idempotency)
+  if original then
+    return { "IDEMPOTENT", original, redis.call("HGET", original, "status") }
+  end
+end
+
+if redis.call("EXISTS", job_id) == 1 then
+  return redis.error_reply("JOB_EXISTS " .. job_id)
+end
+
+-- Only one unfinished job of a type holds a dedupe key
+if dedupe_key then
+  local holder = redis.call("GET", unique_key(tenant, job_type or "", dedupe_key))
+  local holder_status = holder and redis.call("HGET", holder, "status")
+  if holder_status and UNFINISHED_STATUSES[holder_status] then
+    if ARGV[6] ~= "merge" then
+      return { "REJECTED", holder, holder_status }
+    end
+
+    if idempotency then
+      redis.call("SET", idempotency, holder, "PX", ARGV[5])
+    end
+    return { "MERGED", holder, holder_status }
+  end
+
+  -- Left behind by a job that is gone
+  redis.call("DEL", unique_key(tenant, job_type or "", dedupe_key))
+end
+
+local left = quota_left(tenant)
+if left and left < 1 then
+  return { "QUOTA_EXCEEDED" }
+end
+
+-- Dependencies are checked again here, they may have changed since the
+-- request was validated
+local open_dependencies = {}
+for i = 8, 7 + dependency_count do
+  local dependency = ARGV[i]
+  local invalid = dependency_error(dependency, tenant)
+  if invalid then
+    return redis.error_reply(invalid)
+  end
+
+  if redis.call("HGET", dependency, "status") ~= "COMPLETED" then
+    table.insert(open_dependencies, dependency)
+  end
+end
+
+local status = "PENDING"
+if #open_dependencies > 0 then
+  status = "WAITING"
+elseif run_at and run_at > now then
+  status = "SCHEDULED"
+end
+
+redis.call("HSET", job_id, unpack(fields))
+set_status(job_id, status)
+
+local job = redis.call("HMGET", job_id, "type", "created_at")
+redis.call("ZADD", JOB_INDEX_KEY, job[2], job_id)
+redis.call("ZADD", type_index(job[1]), job[2], job_id)
+if tenant then
+  redis.call("ZADD", tenant_index(tenant), job[2], job_id)
+end
+
+if status == "WAITING" then
+  for _, dependency in ipairs(open_dependencies) do
+    redis.call("SADD", job_id .. ":dependencies", dependency)
+    redis.call("SADD", dependency .. ":dependents", job_id)
+  end
+elseif status == "SCHEDULED" then
+  redis.call("ZADD", KEYS[3], run_at, job_id)
+else
+  redis.call("LPUSH", KEYS[2], job_id)
+end
+
+-- Registered last, so a queue key that cannot hold jobs never is
+redis.call("ZADD", KEYS[4], "NX", ARGV[3], KEYS[2])
+
+if batch_id then
+  redis.call("HINCRBY", batch_id, "total", 1)
+  redis.call("RPUSH", batch_id .. ":jobs", job_id)
+end
+
+if idempotency then
+  redis.call("SET", idempotency, job_id, "PX", ARGV[5])
+end
+
+return { "CREATED", job_id, status }
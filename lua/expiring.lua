@@ -0,0 +1,13 @@
+-- Lease jobs due to expire to one sweeper. Leased jobs come due again if
+-- the sweeper dies before removing them.
+-- KEYS[1] expiring jobs
+-- ARGV[1] now, ARGV[2] lease end, ARGV[3] max number of jobs
+local due = redis.call(
+  "ZRANGEBYSCORE", KEYS[1], "-inf", ARGV[1], "LIMIT", 0, ARGV[3]
+)
+
+for _, job_id in ipairs(due) do
+  redis.call("ZADD", KEYS[1], ARGV[2], job_id)
+end
+
+return due
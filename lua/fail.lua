@@ -0,0 +1,67 @@
+-- Record a failed attempt and schedule a retry or dead-letter the job
+-- KEYS[1] job id, KEYS[2] in-flight list, KEYS[3] scheduled jobs,
+-- KEYS[4] dead letter queue
+-- ARGV[1] now, ARGV[2] error message, ARGV[3] error stack or "",
+-- ARGV[4] "1" if the job may be retried, ARGV[5] max retries,
+-- ARGV[6] delay before the next attempt in ms, ARGV[7] "1" if the attempt
+-- ran out of time
+-- Returns { RETRY_SCHEDULED, retries, next attempt time }, or the status
+-- the job was dead-lettered in, FAILED or TIMED_OUT, with its retries
+local job_id = KEYS[1]
+local now = tonumber(ARGV[1])
+local timed_out = ARGV[7] == "1"
+local status = redis.call("HGET", job_id, "status")
+
+-- Refused for a worker that no longer holds the job, like completing
+local held = redis.call("LREM", KEYS[2], 1, job_id) == 1
+
+if status ~= "PROCESSING" or not held then
+  return invalid_transition(job_id, status)
+end
+
+local retries = redis.call("HINCRBY", job_id, "retries", 1)
+
+-- Every attempt keeps its own error entry
+local errors = {}
+local stored_errors = redis.call("HGET", job_id, "errors")
+if stored_errors then
+  errors = cjson.decode(stored_errors)
+end
+
+local stack = nil
+if ARGV[3] ~= "" then
+  stack = ARGV[3]
+end
+
+table.insert(errors, {
+  attempt = retries,
+  message = ARGV[2],
+  stack = stack,
+  failed_at = now,
+})
+
+redis.call(
+  "HSET", job_id,
+  "error", ARGV[2],
+  "errors", cjson.encode(errors),
+  "failed_at", now
+)
+if timed_out then
+  redis.call("HSET", job_id, "timed_out_at", now)
+end
+
+if ARGV[4] == "1" and retries <= tonumber(ARGV[5]) then
+  local next_attempt_at = now + tonumber(ARGV[6])
+  set_status(job_id, "RETRY_SCHEDULED")
+  redis.call("HSET", job_id, "next_attempt_at", next_attempt_at)
+  redis.call("ZADD", KEYS[3], next_attempt_at, job_id)
+  return { "RETRY_SCHEDULED", retries, next_attempt_at }
+end
+
+local final_status = timed_out and "TIMED_OUT" or "FAILED"
+set_status(job_id, final_status)
+redis.call("LPUSH", KEYS[4], job_id)
+queue_webhook(job_id, "dead_lettered")
+fail_dependents(job_id, final_status, now)
+
+return { final_status, retries }
@@ -0,0 +1,431 @@
+-- Shared helpers, prepended to every job script
+
+-- Hash of job counts per status
+local STATS_KEY = "jobs:stats"
+
+-- Sorted sets of job ids scored by creation time: every job, the jobs in
+-- one status and the jobs of one type
+local JOB_INDEX_KEY = "jobs:index"
+local function status_index(status)
+  return "jobs:status:" .. status
+end
+local function type_index(job_type)
+  return "jobs:type:" .. job_type
+end
+
+-- Jobs of one tenant, indexed like the above, and their counts per status
+local function tenant_index(tenant)
+  return "jobs:tenant:" .. tenant
+end
+local function tenant_stats(tenant)
+  return "jobs:stats:" .. tenant
+end
+
+-- Keys of a tenant's jobs and queues start with this, see tenants.js
+local function tenant_prefix(tenant)
+  return tenant and "tenant:" .. tenant .. ":" or ""
+end
+
+-- Sorted set of jobs waiting for their run time, see delayedJobs.js
+local SCHEDULED_JOBS_KEY = "scheduled_jobs"
+
+-- Sorted set of processing jobs with a timeout, scored by the time it
+-- runs out, see jobTimeouts.js
+local PROCESSING_DEADLINES_KEY = "processing_deadlines"
+
+-- Current time in milliseconds
+local function current_time()
+  local time = redis.call("TIME")
+  return tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+end
+
+-- A job can still run while it is in one of these
+local UNFINISHED_STATUSES = {
+  WAITING = true,
+  SCHEDULED = true,
+  PENDING = true,
+  PROCESSING = true,
+  RETRY_SCHEDULED = true,
+}
+
+-- Job id an idempotency key of a tenant was first used for, see
+-- deduplication.js
+local function idempotency_key(tenant, key)
+  return tenant_prefix(tenant) .. "idempotency:" .. key
+end
+
+-- Unfinished job of a tenant holding a dedupe key of a type
+local function unique_key(tenant, job_type, dedupe_key)
+  return tenant_prefix(tenant) .. "unique:" .. job_type .. ":" .. dedupe_key
+end
+
+-- Hold the job's dedupe key while it is unfinished and let go of it once
+-- it finishes or is deleted (status nil)
+local function update_unique(job_id, status)
+  local job = redis.call("HMGET", job_id, "type", "dedupe_key", "tenant")
+  if not job[2] then
+    return
+  end
+
+  local key = unique_key(job[3] or nil, job[1] or "", job[2])
+  if status and UNFINISHED_STATUSES[status] then
+    redis.call("SET", key, job_id, "NX")
+  elseif redis.call("GET", key) == job_id then
+    redis.call("DEL", key)
+  end
+end
+
+-- Most unfinished jobs each tenant may have, see tenants.js
+local TENANT_QUOTAS_KEY = "tenant_quotas"
+
+-- How many more jobs a tenant may enqueue, nil if it has no quota
+local function quota_left(tenant)
+  local quota = tenant and redis.call("HGET", TENANT_QUOTAS_KEY, tenant)
+  if not quota then
+    return nil
+  end
+
+  local unfinished = 0
+  for status in pairs(UNFINISHED_STATUSES) do
+    unfinished = unfinished
+      + (tonumber(redis.call("HGET", tenant_stats(tenant), status)) or 0)
+  end
+  return tonumber(quota) - unfinished
+end
+
+-- Why a job of a tenant cannot depend on another job, nil if it can. Jobs
+-- of other tenants are not visible to it.
+local function dependency_error(dependency, tenant)
+  local job = redis.call("HMGET", dependency, "status", "tenant")
+  local status = job[1]
+
+  if not status or (job[2] or nil) ~= tenant then
+    return "INVALID_DEPENDENCY " .. dependency .. " does not exist"
+  end
+
+  if status == "FAILED" or status == "CANCELLED" or status == "TIMED_OUT" then
+    return "INVALID_DEPENDENCY " .. dependency .. " is " .. status
+  end
+
+  return nil
+end
+
+-- Result of a job as stored, results from before they were JSON-encoded
+-- are kept as the plain string
+local function decode_result(result)
+  local ok, decoded = pcall(cjson.decode, result)
+  if ok then
+    return decoded
+  end
+  return result
+end
+
+-- Publish a change of a job to its own channel and to its queue's channel
+local function publish_event(job_id, name)
+  local job = redis.call(
+    "HMGET", job_id, "queue", "type", "status", "progress", "result", "error"
+  )
+  local event = {
+    event = name,
+    jobId = job_id,
+    queue = job[1] or nil,
+    type = job[2] or nil,
+    status = job[3] or nil,
+    progress = tonumber(job[4]) or 0,
+  }
+
+  if event.status == "COMPLETED" and job[5] then
+    event.result = decode_result(job[5])
+  elseif event.status ~= "COMPLETED" and event.status ~= "PROCESSING" then
+    event.error = job[6] or nil
+  end
+
+  local message = cjson.encode(event)
+  redis.call("PUBLISH", "job-events:" .. job_id, message)
+  if job[1] then
+    redis.call("PUBLISH", "queue-events:" .. job[1], message)
+  end
+end
+
+-- Webhook event sent for a status, see webhooks.js
+local WEBHOOK_EVENTS = {
+  COMPLETED = "completed",
+  RETRY_SCHEDULED = "retrying",
+  FAILED = "failed",
+  TIMED_OUT = "failed",
+  CANCELLED = "cancelled",
+}
+
+-- Record a webhook delivery if the job has a callback for this event. The
+-- payload is fixed now, the dispatcher in the API server sends it.
+local function queue_webhook(job_id, event)
+  local job = redis.call(
+    "HMGET", job_id,
+    "callback_url", "callback_events", "type", "queue", "status",
+    "result", "error", "retries"
+  )
+  if not job[1] then
+    return
+  end
+
+  if job[2] and not string.find("," .. job[2] .. ",", "," .. event .. ",", 1, true) then
+    return
+  end
+
+  local now = current_time()
+  local delivery_id = "webhook:" .. redis.call("INCR", "webhook_sequence")
+
+  local payload = {
+    id = delivery_id,
+    event = event,
+    jobId = job_id,
+    type = job[3] or nil,
+    queue = job[4] or nil,
+    status = job[5] or nil,
+    retries = tonumber(job[8]) or 0,
+    timestamp = now,
+  }
+
+  if event == "completed" and job[6] then
+    payload.result = decode_result(job[6])
+  elseif event ~= "completed" then
+    payload.error = job[7] or nil
+  end
+
+  redis.call(
+    "HSET", delivery_id,
+    "job_id", job_id,
+    "event", event,
+    "url", job[1],
+    "payload", cjson.encode(payload),
+    "status", "PENDING",
+    "attempts", 0,
+    "created_at", now,
+    "next_attempt_at", now
+  )
+  redis.call("ZADD", "webhook_deliveries", now, delivery_id)
+  redis.call("LPUSH", job_id .. ":webhooks", delivery_id)
+end
+
+-- Sorted set of finished jobs scored by the time they expire, and the
+-- retention of finished jobs in ms keyed by "<status>" or
+-- "<status>:<type>", see retention.js
+local EXPIRING_JOBS_KEY = "jobs:expiring"
+local RETENTION_POLICIES_KEY = "retention_policies"
+
+-- Schedule the removal of a job that finished under a retention policy,
+-- and call it off when the job runs again or is deleted (status nil)
+local function update_expiry(job_id, status)
+  local retention = nil
+  if status and not UNFINISHED_STATUSES[status] then
+    local job_type = redis.call("HGET", job_id, "type")
+    if job_type then
+      retention = redis.call("HGET", RETENTION_POLICIES_KEY, status .. ":" .. job_type)
+    end
+    retention = retention or redis.call("HGET", RETENTION_POLICIES_KEY, status)
+  end
+
+  if retention then
+    local expires_at = current_time() + tonumber(retention)
+    redis.call("ZADD", EXPIRING_JOBS_KEY, expires_at, job_id)
+    redis.call("HSET", job_id, "expires_at", expires_at)
+  elseif redis.call("ZREM", EXPIRING_JOBS_KEY, job_id) == 1 and status then
+    redis.call("HDEL", job_id, "expires_at")
+  end
+end
+
+-- Counters per "<event>:<type>" and histograms of ms per job type, read
+-- by the /metrics endpoint, see metrics.js
+local METRICS_COUNTERS_KEY = "metrics:counters"
+local METRICS_EVENTS = {
+  COMPLETED = "completed",
+  FAILED = "failed",
+  CANCELLED = "cancelled",
+  TIMED_OUT = "timed_out",
+  RETRY_SCHEDULED = "retried",
+}
+
+-- Upper bounds of the histogram buckets in ms, the same as in metrics.js
+local METRICS_BUCKETS = {
+  10, 50, 100, 250, 500, 1000, 2500, 5000, 10000, 30000, 60000, 300000,
+  900000, 3600000,
+}
+
+-- Count a value into the first bucket it fits, "<type>:<bound>" or
+-- "<type>:inf". Buckets are summed up when they are read.
+local function observe(histogram, job_type, value)
+  local bucket = "inf"
+  for _, bound in ipairs(METRICS_BUCKETS) do
+    if value <= bound then
+      bucket = bound
+      break
+    end
+  end
+
+  local key = "metrics:" .. histogram
+  redis.call("HINCRBY", key, job_type .. ":" .. bucket, 1)
+  redis.call("HINCRBY", key, job_type .. ":sum", value)
+end
+
+-- Record what a status change means for the metrics: jobs created and
+-- finished, retries, the time spent waiting on a queue and processing
+local function record_metrics(job_id, previous, status)
+  local job = redis.call("HMGET", job_id, "type", "queued_at", "started_at")
+  local job_type = job[1] or ""
+  if not previous then
+    redis.call("HINCRBY", METRICS_COUNTERS_KEY, "enqueued:" .. job_type, 1)
+  end
+  if METRICS_EVENTS[status] then
+    redis.call(
+      "HINCRBY", METRICS_COUNTERS_KEY, METRICS_EVENTS[status] .. ":" .. job_type, 1
+    )
+  end
+
+  -- Workers stamp started_at with their own clock, so the time can be
+  -- slightly off and is kept from going negative
+  if status == "PROCESSING" and job[2] then
+    local waited = current_time() - tonumber(job[2])
+    observe("wait_time", job_type, math.max(waited, 0))
+  elseif previous == "PROCESSING" and job[3] and status ~= "PENDING" then
+    local processed = current_time() - tonumber(job[3])
+    observe("processing_time", job_type, math.max(processed, 0))
+  end
+end
+
+-- Defined further down, a finished batch releases the jobs depending on it
+local resolve_dependents
+
+-- Complete a sealed batch once every member has finished and release its
+-- completion callback, see batches.js
+local function check_batch(batch_id)
+  local batch = redis.call("HMGET", batch_id, "status", "sealed", "total", "finished")
+  if batch[1] ~= "PROCESSING" or tonumber(batch[2]) ~= 1 then
+    return
+  end
+
+  if (tonumber(batch[4]) or 0) < (tonumber(batch[3]) or 0) then
+    return
+  end
+
+  local now = current_time()
+  redis.call("HSET", batch_id, "status", "COMPLETED", "finished_at", now)
+  resolve_dependents(batch_id, SCHEDULED_JOBS_KEY, now)
+end
+
+-- Count a batch member finishing, or running again after a requeue
+local function update_batch(job_id, previous, status)
+  local batch_id = redis.call("HGET", job_id, "batch_id")
+  if not batch_id then
+    return
+  end
+
+  local was_finished = previous and not UNFINISHED_STATUSES[previous] or false
+  local is_finished = status and not UNFINISHED_STATUSES[status] or false
+  if was_finished == is_finished then
+    return
+  end
+
+  redis.call("HINCRBY", batch_id, "finished", is_finished and 1 or -1)
+  check_batch(batch_id)
+end
+
+-- Change the status of a job, keeping the status indexes and the counters
+-- in step with it. Every status change goes through here.
+local function set_status(job_id, status)
+  local job = redis.call("HMGET", job_id, "status", "created_at", "tenant")
+  local previous = job[1]
+  if previous == status then
+    return
+  end
+
+  if previous then
+    redis.call("ZREM", status_index(previous), job_id)
+    redis.call("HINCRBY", STATS_KEY, previous, -1)
+    if job[3] then
+      redis.call("HINCRBY", tenant_stats(job[3]), previous, -1)
+    end
+  end
+
+  redis.call("HSET", job_id, "status", status)
+  -- How long jobs have waited on a queue is watched by the autoscaler
+  if status == "PENDING" then
+    redis.call("HSET", job_id, "queued_at", current_time())
+  end
+  redis.call("ZADD", status_index(status), tonumber(job[2]) or 0, job_id)
+  redis.call("HINCRBY", STATS_KEY, status, 1)
+  if job[3] then
+    redis.call("HINCRBY", tenant_stats(job[3]), status, 1)
+  end
+  update_unique(job_id, status)
+  update_batch(job_id, previous, status)
+  update_expiry(job_id, status)
+  record_metrics(job_id, previous, status)
+  -- A job only runs against its timeout while it is processing
+  if previous == "PROCESSING" then
+    redis.call("ZREM", PROCESSING_DEADLINES_KEY, job_id)
+  end
+  publish_event(job_id, "status")
+
+  if WEBHOOK_EVENTS[status] then
+    queue_webhook(job_id, WEBHOOK_EVENTS[status])
+  end
+end
+
+-- Reject a state change the job's current status does not allow
+local function invalid_transition(job_id, status)
+  return redis.error_reply(
+    "INVALID_TRANSITION " .. job_id .. " is " .. (status or "missing")
+  )
+end
+
+-- Move a waiting job onto its queue, or into the schedule if its run time
+-- has not come yet
+local function release_waiting_job(job_id, scheduled_key, now)
+  local job = redis.call("HMGET", job_id, "status", "queue", "run_at")
+  if job[1] ~= "WAITING" then
+    return
+  end
+
+  local run_at = tonumber(job[3]) or 0
+  if run_at > now then
+    set_status(job_id, "SCHEDULED")
+    redis.call("ZADD", scheduled_key, run_at, job_id)
+  else
+    set_status(job_id, "PENDING")
+    redis.call("LPUSH", job[2] or "normal_jobs", job_id)
+  end
+end
+
+-- Drop a completed job from the dependencies of its dependents and release
+-- those with nothing left to wait on
+resolve_dependents = function(job_id, scheduled_key, now)
+  for _, dependent in ipairs(redis.call("SMEMBERS", job_id .. ":dependents")) do
+    redis.call("SREM", dependent .. ":dependencies", job_id)
+    if redis.call("SCARD", dependent .. ":dependencies") == 0 then
+      release_waiting_job(dependent, scheduled_key, now)
+    end
+  end
+end
+
+-- Move every job waiting on job_id, directly or through other waiting jobs,
+-- to the state it asked for when a dependency does not complete
+local function fail_dependents(job_id, status, now)
+  local stack = { { job_id, status } }
+
+  while #stack > 0 do
+    local current = table.remove(stack)
+    for _, dependent in ipairs(redis.call("SMEMBERS", current[1] .. ":dependents")) do
+      local job = redis.call("HMGET", dependent, "status", "on_dependency_failure")
+      if job[1] == "WAITING" then
+        local dependent_status = job[2] or "FAILED"
+        redis.call(
+          "HSET", dependent,
+          "error", "Dependency " .. current[1] .. " is " .. current[2],
+          "failed_at", now
+        )
+        set_status(dependent, dependent_status)
+        table.insert(stack, { dependent, dependent_status })
+      end
+    end
+  end
+end
@@ -0,0 +1,33 @@
+const fs = require("fs");
+const path = require("path");
+
+// Helpers shared by every script
+const helpers = fs.readFileSync(path.join(__dirname, "helpers.lua"), "utf8");
+
+const loadScript = (name, numberOfKeys) => ({
+  numberOfKeys,
+  lua: `${helpers}\n${fs.readFileSync(
+    path.join(__dirname, `${name}.lua`),
+    "utf8"
+  )}`,
+});
+
+// Job state transitions, atomic batch checks, batch sealing, schedule runs and the leasing of
+// webhook deliveries and expiring jobs, registered as custom ioredis commands
+module.exports = {
+  jobEnqueue: loadScript("enqueue", 4),
+  jobClaim: loadScript("claim", 2),
+  jobProgress: loadScript("progress", 1),
+  jobComplete: loadScript("complete", 3),
+  jobFail: loadScript("fail", 4),
+  jobRelease: loadScript("release", 2),
+  jobCancel: loadScript("cancel", 2),
+  jobPromote: loadScript("promote", 1),
+  jobRequeue: loadScript("requeue", 2),
+  jobDelete: loadScript("delete", 3),
+  jobLeaseExpiring: loadScript("expiring", 1),
+  batchCheck: loadScript("batchCheck", 1),
+  batchSeal: loadScript("batchSeal", 1),
+  scheduleRecord: loadScript("scheduleRecord", 3),
+  webhookClaim: loadScript("webhooks", 1),
+};
@@ -0,0 +1,11 @@
+-- Update the progress of a processing job
+-- KEYS[1] job id
+-- ARGV[1] progress
+local status = redis.call("HGET", KEYS[1], "status")
+if status ~= "PROCESSING" then
+  return invalid_transition(KEYS[1], status)
+end
+
+redis.call("HSET", KEYS[1], "progress", ARGV[1])
+publish_event(KEYS[1], "progress")
+return status
@@ -0,0 +1,20 @@
+-- Move due delayed jobs and due retries onto their queues
+-- KEYS[1] scheduled jobs
+-- ARGV[1] now, ARGV[2] max number of jobs to move
+local due = redis.call(
+  "ZRANGEBYSCORE", KEYS[1], "-inf", ARGV[1], "LIMIT", 0, ARGV[2]
+)
+local promoted = {}
+
+for _, job_id in ipairs(due) do
+  redis.call("ZREM", KEYS[1], job_id)
+
+  local job = redis.call("HMGET", job_id, "status", "queue")
+  if job[1] == "SCHEDULED" or job[1] == "RETRY_SCHEDULED" then
+    set_status(job_id, "PENDING")
+    redis.call("LPUSH", job[2] or "normal_jobs", job_id)
+    table.insert(promoted, job_id)
+  end
+end
+
+return promoted
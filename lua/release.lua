@@ -0,0 +1,16 @@
+-- Put a job a stopping worker could not finish back at the front of its
+-- queue, without counting it as a failed attempt
+-- KEYS[1] job id, KEYS[2] in-flight list of the worker
+-- ARGV[1] now
+local job_id = KEYS[1]
+local job = redis.call("HMGET", job_id, "status", "queue")
+
+if job[1] ~= "PROCESSING" or redis.call("LREM", KEYS[2], 1, job_id) == 0 then
+  return invalid_transition(job_id, job[1])
+end
+
+redis.call("HSET", job_id, "progress", 0, "released_at", ARGV[1])
+set_status(job_id, "PENDING")
+redis.call("RPUSH", job[2] or "normal_jobs", job_id)
+
+return "PENDING"
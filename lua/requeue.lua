@@ -0,0 +1,26 @@
+-- Put a dead-lettered job back on its queue
+-- KEYS[1] job id, KEYS[2] dead letter queue
+-- ARGV[1] now, ARGV[2] "1" to reset retries, ARGV[3] "1" if ARGV[4] holds
+-- new job data
+local job_id = KEYS[1]
+local job = redis.call("HMGET", job_id, "status", "queue")
+
+local dead_lettered = job[1] == "FAILED" or job[1] == "TIMED_OUT"
+if not dead_lettered or redis.call("LREM", KEYS[2], 1, job_id) == 0 then
+  return invalid_transition(job_id, job[1])
+end
+
+redis.call("HSET", job_id, "progress", 0, "requeued_at", ARGV[1])
+
+if ARGV[2] == "1" then
+  redis.call("HSET", job_id, "retries", 0)
+end
+
+if ARGV[3] == "1" then
+  redis.call("HSET", job_id, "data", ARGV[4])
+end
+
+set_status(job_id, "PENDING")
+redis.call("LPUSH", job[2] or "normal_jobs", job_id)
+
+return "PENDING"
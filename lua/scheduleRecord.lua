@@ -0,0 +1,30 @@
+-- Record a pass over a schedule occurrence and set when the schedule comes
+-- due again, only while the schedule exists. A schedule deleted while it
+-- fired stays deleted.
+-- KEYS[1] schedule id, KEYS[2] schedule runs, KEYS[3] schedule history
+-- ARGV[1] time the schedule comes due again, ARGV[2] history entry or "",
+-- ARGV[3] history limit, ARGV[4...] fields and values of the schedule, an
+-- empty value removes the field
+-- Returns 1, or 0 if the schedule no longer exists
+local schedule_id = KEYS[1]
+
+if redis.call("EXISTS", schedule_id) == 0 then
+  redis.call("ZREM", KEYS[2], schedule_id)
+  return 0
+end
+
+if ARGV[2] ~= "" then
+  redis.call("LPUSH", KEYS[3], ARGV[2])
+  redis.call("LTRIM", KEYS[3], 0, tonumber(ARGV[3]) - 1)
+end
+
+for i = 4, #ARGV, 2 do
+  if ARGV[i + 1] == "" then
+    redis.call("HDEL", schedule_id, ARGV[i])
+  else
+    redis.call("HSET", schedule_id, ARGV[i], ARGV[i + 1])
+  end
+end
+
+redis.call("ZADD", KEYS[2], ARGV[1], schedule_id)
+return 1
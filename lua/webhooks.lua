@@ -0,0 +1,13 @@
+-- Lease due webhook deliveries to one dispatcher. Leased deliveries come
+-- due again if the dispatcher dies before recording the outcome.
+-- KEYS[1] webhook deliveries
+-- ARGV[1] now, ARGV[2] lease end, ARGV[3] max number of deliveries
+local due = redis.call(
+  "ZRANGEBYSCORE", KEYS[1], "-inf", ARGV[1], "LIMIT", 0, ARGV[3]
+)
+
+for _, delivery_id in ipairs(due) do
+  redis.call("ZADD", KEYS[1], ARGV[2], delivery_id)
+end
+
+return due
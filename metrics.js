@@ -0,0 +1,203 @@
+const redis = require("./redisClient");
+const { getRegisteredQueues } = require("./queues");
+const { SCHEDULED_JOBS_KEY } = require("./delayedJobs");
+const { DEAD_LETTER_QUEUE, STATS_KEY } = require("./jobState");
+const { WORKER_TIMEOUT, listWorkers } = require("./workerRegistry");
+
+// The job scripts count into these as jobs change status, so workers and
+// API instances all report through Redis, see lua/helpers.lua
+const METRICS_COUNTERS_KEY = "metrics:counters";
+const getHistogramKey = (name) => `metrics:${name}`;
+
+// Upper bounds of the histogram buckets in ms, the same as in lua/helpers.lua
+const METRICS_BUCKETS = [
+  10, 50, 100, 250, 500, 1000, 2500, 5000, 10000, 30000, 60000, 300000, 900000,
+  3600000,
+];
+
+// Counter events stored by the scripts and the metric each one feeds
+const COUNTERS = {
+  enqueued: ["job_queue_jobs_enqueued_total", "Jobs created"],
+  completed: ["job_queue_jobs_completed_total", "Jobs completed"],
+  failed: ["job_queue_jobs_failed_total", "Jobs failed for good"],
+  cancelled: ["job_queue_jobs_cancelled_total", "Jobs cancelled"],
+  timed_out: ["job_queue_jobs_timed_out_total", "Jobs timed out for good"],
+  retried: ["job_queue_job_retries_total", "Failed attempts retried later"],
+};
+
+const HISTOGRAMS = {
+  wait_time: [
+    "job_queue_wait_time_seconds",
+    "Time jobs waited on a queue before a worker took them",
+  ],
+  processing_time: [
+    "job_queue_processing_time_seconds",
+    "Time workers spent on a job attempt",
+  ],
+};
+
+const escapeLabel = (value) =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) => `${name}="${escapeLabel(value)}"`
+  );
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+};
+
+// One metric in the Prometheus text format, samples are
+// { suffix, labels, value }
+const formatMetric = (name, type, help, samples) => {
+  return [
+    `# HELP ${name} ${help}`,
+    `# TYPE ${name} ${type}`,
+    ...samples.map(
+      ({ suffix = "", labels = {}, value }) =>
+        `${name}${suffix}${formatLabels(labels)} ${value}`
+    ),
+  ].join("\n");
+};
+
+// Split "<prefix>:<last part>" fields, the prefix may contain colons
+const splitField = (field) => {
+  const index = field.lastIndexOf(":");
+  return [field.slice(0, index), field.slice(index + 1)];
+};
+
+const collectCounters = async () => {
+  const counters = await redis.hgetall(METRICS_COUNTERS_KEY);
+  const samples = {};
+
+  for (const [field, value] of Object.entries(counters)) {
+    const index = field.indexOf(":");
+    const event = field.slice(0, index);
+    if (!COUNTERS[event]) continue;
+
+    samples[event] = samples[event] || [];
+    samples[event].push({
+      labels: { type: field.slice(index + 1) },
+      value: Number(value),
+    });
+  }
+
+  return Object.entries(COUNTERS).map(([event, [name, help]]) =>
+    formatMetric(name, "counter", help, samples[event] || [])
+  );
+};
+
+// The scripts count each value into one bucket, Prometheus buckets count
+// every value up to their bound
+const collectHistogram = async (histogram) => {
+  const [name, help] = HISTOGRAMS[histogram];
+  const fields = await redis.hgetall(getHistogramKey(histogram));
+
+  const byType = new Map();
+  for (const [field, value] of Object.entries(fields)) {
+    const [type, bucket] = splitField(field);
+    if (!byType.has(type)) byType.set(type, {});
+    byType.get(type)[bucket] = Number(value);
+  }
+
+  const samples = [];
+  for (const [type, buckets] of byType) {
+    let count = 0;
+    for (const bound of METRICS_BUCKETS) {
+      count += buckets[bound] || 0;
+      samples.push({
+        suffix: "_bucket",
+        labels: { type, le: bound / 1000 },
+        value: count,
+      });
+    }
+    count += buckets.inf || 0;
+
+    samples.push(
+      { suffix: "_bucket", labels: { type, le: "+Inf" }, value: count },
+      { suffix: "_sum", labels: { type }, value: (buckets.sum || 0) / 1000 },
+      { suffix: "_count", labels: { type }, value: count }
+    );
+  }
+
+  return formatMetric(name, "histogram", help, samples);
+};
+
+const collectGauges = async () => {
+  const queueNames = [...(await getRegisteredQueues()), DEAD_LETTER_QUEUE];
+  const pipeline = redis.pipeline();
+  queueNames.forEach((queueName) => pipeline.llen(queueName));
+  const lengths = await pipeline.exec();
+
+  const stats = await redis.hgetall(STATS_KEY);
+  const scheduled = await redis.zcard(SCHEDULED_JOBS_KEY);
+
+  const now = Date.now();
+  const workers = (await listWorkers()).filter(
+    ({ lastSeen, details }) =>
+      now - lastSeen < WORKER_TIMEOUT && Object.keys(details).length > 0
+  );
+  const slots = workers.reduce(
+    (sum, { details }) => ({
+      busy: sum.busy + parseInt(details.busy_slots || 0, 10),
+      total: sum.total + parseInt(details.concurrency || 1, 10),
+    }),
+    { busy: 0, total: 0 }
+  );
+
+  return [
+    formatMetric(
+      "job_queue_depth",
+      "gauge",
+      "Jobs waiting on a queue",
+      queueNames.map((queue, index) => ({
+        labels: { queue },
+        value: lengths[index][1],
+      }))
+    ),
+    formatMetric(
+      "job_queue_scheduled_jobs",
+      "gauge",
+      "Delayed jobs and retries waiting for their run time",
+      [{ value: scheduled }]
+    ),
+    formatMetric(
+      "job_queue_jobs",
+      "gauge",
+      "Jobs stored per status",
+      Object.entries(stats).map(([status, value]) => ({
+        labels: { status },
+        value: Number(value),
+      }))
+    ),
+    formatMetric(
+      "job_queue_workers",
+      "gauge",
+      "Workers with a live heartbeat",
+      [{ value: workers.length }]
+    ),
+    formatMetric(
+      "job_queue_worker_slots",
+      "gauge",
+      "Job slots of the live workers",
+      [
+        { labels: { state: "busy" }, value: slots.busy },
+        { labels: { state: "total" }, value: slots.total },
+      ]
+    ),
+  ];
+};
+
+// Every metric of the fleet in the Prometheus text exposition format
+const collectMetrics = async () => {
+  const metrics = [...(await collectGauges()), ...(await collectCounters())];
+  for (const histogram of Object.keys(HISTOGRAMS)) {
+    metrics.push(await collectHistogram(histogram));
+  }
+
+  return `${metrics.join("\n")}\n`;
+};
+
+module.exports = { collectMetrics };
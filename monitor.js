@@ -1,132 +1,251 @@
 require("dotenv").config();
 
-const AWS = require("aws-sdk");
-
 const redis = require("./redisClient");
+const { getRegisteredQueues } = require("./queues");
+const {
+  WORKER_TIMEOUT,
+  DRAINING_INSTANCES_KEY,
+  listWorkers,
+} = require("./workerRegistry");
+const { createScaler } = require("./scalers");
+const { decideScaling } = require("./scalingPolicy");
 
-// AWS CONFIG
-AWS.config.update({ region: "ap-southeast-1" });
+// Launches and terminates worker instances, see scalers/index.js
+const scaler = createScaler();
 
-const ec2 = new AWS.EC2();
+// Only log the scaling decisions, to try out scaling policies
+const DRY_RUN = process.env.SCALING_DRY_RUN === "true";
 
-// Scaling Parameters
-const SCALE_UP_THRESHOLD = 50; // Jobs in the queue to trigger scale-up
-const SCALE_DOWN_THRESHOLD = 10; // Jobs in the queue to trigger scale-down
-const MIN_WORKERS = 1; // Minimum number of workers
-const MAX_WORKERS = 10; // Maximum number of workers
+// Times of the last scale-up and scale-down, for the cooldowns
+const lastScaled = { up: 0, down: 0 };
 
-// Launch Template for Workers
-const LAUNCH_TEMPLATE_ID = "lt-12345678"; // Replace with your Launch Template ID
+// Entries at the tail of a queue looked at for the oldest pending job,
+// entries of cancelled or deleted jobs are skipped
+const OLDEST_JOB_SCAN = 10;
 
-// Helper to get Redis queue length
-const getQueueLength = async (queueName) => {
+// Length of a queue and how long its oldest pending job has waited, in ms
+const getQueueStats = async (queueName, now = Date.now()) => {
   try {
     const length = await redis.llen(queueName);
-    return length;
+    const tail = await redis.lrange(queueName, -OLDEST_JOB_SCAN, -1);
+
+    let oldestAge = 0;
+    for (const jobId of tail.reverse()) {
+      const [status, queuedAt] = await redis.hmget(
+        jobId,
+        "status",
+        "queued_at"
+      );
+      if (status === "PENDING") {
+        oldestAge = Math.max(now - Number(queuedAt || now), 0);
+        break;
+      }
+    }
+
+    return { name: queueName, length, oldestAge };
   } catch (error) {
     console.error(`Error fetching queue length for ${queueName}:`, error);
-    return 0;
+    return { name: queueName, length: 0, oldestAge: 0 };
   }
 };
 
 // Fetch active worker instances
 const getActiveInstances = async () => {
   try {
-    const data = await ec2
-      .describeInstances({
-        Filters: [
-          { Name: "tag:Role", Values: ["worker"] },
-          { Name: "instance-state-name", Values: ["running", "pending"] },
-        ],
-      })
-      .promise();
-
-    return data.Reservations.flatMap((r) =>
-      r.Instances.map((i) => i.InstanceId)
-    );
+    return await scaler.listInstances();
   } catch (error) {
     console.error("Error fetching active instances:", error);
     return [];
   }
 };
 
-// Scale up workers
-const scaleUp = async (count) => {
+// Live workers grouped by the instance they run on
+const getWorkersByInstance = async () => {
+  const now = Date.now();
+  const byInstance = new Map();
+
+  for (const { lastSeen, details } of await listWorkers()) {
+    if (now - lastSeen >= WORKER_TIMEOUT || !details.instance_id) continue;
+
+    const workers = byInstance.get(details.instance_id) || [];
+    workers.push(details);
+    byInstance.set(details.instance_id, workers);
+  }
+
+  return byInstance;
+};
+
+// Scale up workers, taking back instances that are still draining first
+const scaleUp = async (count, drainingInstances) => {
   console.log(`Scaling up by ${count} workers...`);
-  try {
-    const response = await ec2
-      .runInstances({
-        LaunchTemplate: { LaunchTemplateId: LAUNCH_TEMPLATE_ID },
-        MinCount: count,
-        MaxCount: count,
-      })
-      .promise();
-
-    const instanceIds = response.Instances.map((i) => i.InstanceId);
-    await ec2
-      .createTags({
-        Resources: instanceIds,
-        Tags: [{ Key: "Role", Value: "worker" }],
-      })
-      .promise();
 
+  const reclaimed = drainingInstances.slice(0, count);
+  if (reclaimed.length > 0) {
+    await redis.srem(DRAINING_INSTANCES_KEY, ...reclaimed);
+    console.log(`Stopped draining instances: ${reclaimed.join(", ")}`);
+    count -= reclaimed.length;
+  }
+  if (count === 0) return;
+
+  try {
+    const instanceIds = await scaler.launchInstances(count);
     console.log(`Launched instances: ${instanceIds.join(", ")}`);
   } catch (error) {
     console.error("Error scaling up:", error);
   }
 };
 
-// Scale down workers
-const scaleDown = async (count, activeInstances) => {
+// Instances whose workers all report no running job in their heartbeat.
+// Instances without a live worker, e.g. still booting, are not idle.
+const getIdleInstances = async (servingInstances) => {
+  const workersByInstance = await getWorkersByInstance();
+
+  return servingInstances.filter((instanceId) => {
+    const workers = workersByInstance.get(instanceId) || [];
+    return (
+      workers.length > 0 &&
+      workers.every(
+        (worker) =>
+          (worker.status || "ALIVE") === "ALIVE" &&
+          parseInt(worker.busy_slots || 0, 10) === 0
+      )
+    );
+  });
+};
+
+// Scale down workers. Only idle instances are asked to drain here, they are
+// terminated by terminateDrainedInstances once their workers report they
+// are done. Resolves to the number of instances draining now.
+const scaleDown = async (count, servingInstances) => {
   console.log(`Scaling down by ${count} workers...`);
-  const instancesToTerminate = activeInstances.slice(0, count);
+
+  const instancesToDrain = (await getIdleInstances(servingInstances)).slice(
+    0,
+    count
+  );
+  if (instancesToDrain.length === 0) {
+    console.log("No idle instance to drain");
+    return 0;
+  }
+
+  await redis.sadd(DRAINING_INSTANCES_KEY, ...instancesToDrain);
+  console.log(`Draining instances: ${instancesToDrain.join(", ")}`);
+  return instancesToDrain.length;
+};
+
+// Terminate draining instances whose workers all report DRAINED, or that
+// have no live worker left. Resolves to the instances still draining.
+const terminateDrainedInstances = async (activeInstances) => {
+  const drainingInstances = await redis.smembers(DRAINING_INSTANCES_KEY);
+  const workersByInstance = await getWorkersByInstance();
+
+  const drained = drainingInstances.filter((instanceId) =>
+    (workersByInstance.get(instanceId) || []).every(
+      (worker) => worker.status === "DRAINED"
+    )
+  );
+
+  // Instances that are already gone only need their drain request dropped
+  const instancesToTerminate = drained.filter((instanceId) =>
+    activeInstances.includes(instanceId)
+  );
+
+  const stillDraining = drainingInstances.filter(
+    (instanceId) => !drained.includes(instanceId)
+  );
+
+  if (DRY_RUN) {
+    if (instancesToTerminate.length > 0) {
+      console.log(
+        "[dry run] Would terminate instances:",
+        instancesToTerminate.join(", ")
+      );
+    }
+    return stillDraining;
+  }
 
   try {
-    await ec2
-      .terminateInstances({ InstanceIds: instancesToTerminate })
-      .promise();
-    console.log(`Terminated instances: ${instancesToTerminate.join(", ")}`);
+    if (instancesToTerminate.length > 0) {
+      await scaler.terminateInstances(instancesToTerminate);
+      console.log(`Terminated instances: ${instancesToTerminate.join(", ")}`);
+    }
+
+    if (drained.length > 0) {
+      await redis.srem(DRAINING_INSTANCES_KEY, ...drained);
+    }
   } catch (error) {
-    console.error("Error scaling down:", error);
+    console.error("Error terminating drained instances:", error);
   }
+
+  return stillDraining;
 };
 
 // Main Monitoring Loop
 const monitorQueue = async () => {
   try {
-    // Fetch queue lengths
-    const highPriorityJobs = await getQueueLength("high_priority_jobs");
-    const normalJobs = await getQueueLength("normal_jobs");
-    const totalJobs = highPriorityJobs + normalJobs;
+    // Fetch the backlog of every registered queue
+    const queues = [];
+    for (const queueName of await getRegisteredQueues()) {
+      queues.push(await getQueueStats(queueName));
+    }
+
+    const totalJobs = queues.reduce((sum, { length }) => sum + length, 0);
 
     console.log(
-      `High Priority: ${highPriorityJobs}, Normal: ${normalJobs}, Total: ${totalJobs}`
+      `${queues
+        .map(
+          ({ name, length, oldestAge }) =>
+            `${name}: ${length} (oldest ${Math.round(oldestAge / 1000)}s)`
+        )
+        .join(", ")}, Total: ${totalJobs}`
     );
 
     // Fetch active instances
     const activeInstances = await getActiveInstances();
-    console.log(`Active instances: ${activeInstances.length}`);
-
-    if (
-      totalJobs > SCALE_UP_THRESHOLD &&
-      activeInstances.length < MAX_WORKERS
-    ) {
-      const scaleUpCount = Math.min(
-        totalJobs - SCALE_UP_THRESHOLD,
-        MAX_WORKERS - activeInstances.length
-      );
-      await scaleUp(scaleUpCount);
-    } else if (
-      totalJobs < SCALE_DOWN_THRESHOLD &&
-      activeInstances.length > MIN_WORKERS
-    ) {
-      const scaleDownCount = Math.min(
-        activeInstances.length - MIN_WORKERS,
-        SCALE_DOWN_THRESHOLD - totalJobs
-      );
-      await scaleDown(scaleDownCount, activeInstances);
+
+    // Finish scale downs in progress, instances still draining do not
+    // count as serving
+    const drainingInstances = await terminateDrainedInstances(activeInstances);
+    const servingInstances = activeInstances.filter(
+      (instanceId) => !drainingInstances.includes(instanceId)
+    );
+    console.log(
+      `Active instances: ${servingInstances.length}, draining: ${drainingInstances.length}`
+    );
+
+    // Real utilisation of the workers, a worker can run several jobs
+    const slots = { busy: 0, total: 0 };
+    for (const workers of (await getWorkersByInstance()).values()) {
+      for (const worker of workers) {
+        slots.busy += parseInt(worker.busy_slots || 0, 10);
+        slots.total += parseInt(worker.concurrency || 1, 10);
+      }
+    }
+    console.log(`Worker slots in use: ${slots.busy}/${slots.total}`);
+
+    const now = Date.now();
+    const { action, count, reason } = decideScaling({
+      queues,
+      serving: servingInstances.length,
+      lastScaled,
+      now,
+    });
+
+    if (action === "none") {
+      console.log(`No scaling action required: ${reason}`);
+    } else if (DRY_RUN) {
+      // Cooldowns still apply, so the log shows what would really happen
+      console.log(`[dry run] Would scale ${action} by ${count}: ${reason}`);
+      lastScaled[action] = now;
+    } else if (action === "up") {
+      console.log(`Scaling up: ${reason}`);
+      await scaleUp(count, drainingInstances);
+      lastScaled.up = now;
     } else {
-      console.log("No scaling action required.");
+      console.log(`Scaling down: ${reason}`);
+      if ((await scaleDown(count, servingInstances)) > 0) {
+        lastScaled.down = now;
+      }
     }
   } catch (error) {
     console.error("Error in monitoring loop:", error);
@@ -135,7 +254,11 @@ const monitorQueue = async () => {
 
 // Run monitoring loop periodically
 const startMonitoring = () => {
-  console.log("Starting queue monitoring...");
+  console.log(
+    `Starting queue monitoring with the ${scaler.name} provider${
+      DRY_RUN ? " in dry run mode" : ""
+    }...`
+  );
   setInterval(monitorQueue, 10000); // Run every 10 seconds
 };
 
@@ -0,0 +1,132 @@
+const redis = require("./redisClient");
+
+// Sorted set of every known queue, scored by its priority level
+const QUEUE_REGISTRY_KEY = "queues";
+
+// Named priorities and the numeric levels they stand for
+const PRIORITY_LEVELS = { high: 10, normal: 0, low: -10 };
+
+// Queues used for the named levels, other levels get priority_<level>_jobs
+const LEVEL_QUEUES = {
+  10: "high_priority_jobs",
+  0: "normal_jobs",
+  "-10": "low_priority_jobs",
+};
+
+const QUEUE_NAME_PATTERN = /^[\w.:-]+$/;
+
+// Custom queues are kept under their own prefix, e.g. queue:emails, so a
+// queue name never clashes with another key of the service
+const CUSTOM_QUEUE_PREFIX = "queue:";
+
+// Turn a named ("high") or numeric (5) priority into its level
+const toPriorityLevel = (priority = "normal") => {
+  if (Object.prototype.hasOwnProperty.call(PRIORITY_LEVELS, priority)) {
+    return PRIORITY_LEVELS[priority];
+  }
+
+  const level = Number(priority);
+  if (priority === "" || !Number.isInteger(level)) {
+    throw new Error(
+      `Invalid priority "${priority}", use high, normal, low or an integer`
+    );
+  }
+
+  return level;
+};
+
+// Work out which queue a job goes to from its priority and optional queue
+const resolveQueue = ({ queue, priority }) => {
+  const level = toPriorityLevel(priority);
+
+  if (queue === undefined) {
+    return {
+      queueName: LEVEL_QUEUES[level] || `priority_${level}_jobs`,
+      level,
+    };
+  }
+
+  if (typeof queue !== "string" || !QUEUE_NAME_PATTERN.test(queue)) {
+    throw new Error(`Invalid queue name "${queue}"`);
+  }
+
+  return { queueName: `${CUSTOM_QUEUE_PREFIX}${queue}`, level };
+};
+
+// All known queues, highest priority first.
+// Falls back to the built-in queues until the first job registers one.
+const getRegisteredQueues = async () => {
+  const queues = await redis.zrevrange(QUEUE_REGISTRY_KEY, 0, -1);
+  return queues.length > 0 ? queues : ["high_priority_jobs", "normal_jobs"];
+};
+
+// Parse a worker queue list like "high_priority_jobs=3,normal_jobs=1".
+// Weights are optional, without them the order is a strict priority. Queue
+// names may hold ":" and digits (queue:2024) but never "=".
+const parseQueueList = (list) => {
+  return list
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [name, weight, ...rest] = entry.split("=");
+      if (weight === undefined) return { name, weight: null };
+
+      if (rest.length > 0 || !/^[1-9]\d*$/.test(weight)) {
+        throw new Error(
+          `Invalid queue weight in "${entry}", use <queue>=<positive integer>`
+        );
+      }
+      return { name, weight: Number(weight) };
+    });
+};
+
+// Pick a queue order where each queue leads in proportion to its weight
+const weightedOrder = (queues) => {
+  const remaining = [...queues];
+  const order = [];
+
+  while (remaining.length > 0) {
+    const total = remaining.reduce((sum, queue) => sum + queue.weight, 0);
+    let pick = Math.random() * total;
+    let index = remaining.findIndex((queue) => (pick -= queue.weight) < 0);
+    if (index === -1) index = remaining.length - 1;
+
+    order.push(remaining.splice(index, 1)[0].name);
+  }
+
+  return order;
+};
+
+// Every registered queue in the order a worker tries them, highest
+// priority first. Queues of the same level, like the queues of different
+// tenants, come in a random order so none of them always goes first.
+const getClaimOrder = async () => {
+  const entries = await redis.zrevrange(
+    QUEUE_REGISTRY_KEY,
+    0,
+    -1,
+    "WITHSCORES"
+  );
+  if (entries.length === 0) return getRegisteredQueues();
+
+  const levels = new Map();
+  for (let i = 0; i < entries.length; i += 2) {
+    const level = entries[i + 1];
+    if (!levels.has(level)) levels.set(level, []);
+    levels.get(level).push({ name: entries[i], weight: 1 });
+  }
+
+  return Array.from(levels.values()).flatMap(weightedOrder);
+};
+
+module.exports = {
+  QUEUE_REGISTRY_KEY,
+  PRIORITY_LEVELS,
+  toPriorityLevel,
+  resolveQueue,
+  getRegisteredQueues,
+  getClaimOrder,
+  parseQueueList,
+  weightedOrder,
+};
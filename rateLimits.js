@@ -0,0 +1,121 @@
+const redis = require("./redisClient");
+
+// Hash of rate limits, JSON { max, interval } keyed by "<scope>:<name>".
+// Workers enforce them together when claiming jobs, see lua/claim.lua.
+const RATE_LIMITS_KEY = "rate_limits";
+
+// Hash of "<scope>:<name>:deferred" counters and the last
+// "<scope>:<name>:throttled_at" time of every limit
+const RATE_LIMIT_STATS_KEY = "rate_limit_stats";
+
+// Sorted set of the claims within the window of a limit
+const getUsageKey = (scope, name) => `rate_limit:${scope}:${name}`;
+
+// type: limits the jobs of one job type
+// tenant: limits the jobs enqueued with one tenant key
+const RATE_LIMIT_SCOPES = ["type", "tenant"];
+
+// Tenant keys are part of the key prefix of their jobs and queues, see
+// tenants.js, so they cannot contain the ":" separator
+const TENANT_PATTERN = /^[\w.-]{1,128}$/;
+
+// Check the tenant key of an enqueue request.
+// Throws an Error with a message meant for the client on invalid input.
+const validateTenant = (tenant) => {
+  if (tenant === undefined) return null;
+
+  if (typeof tenant !== "string" || !TENANT_PATTERN.test(tenant)) {
+    throw new Error(
+      "tenant must be up to 128 letters, digits or the characters _ . -"
+    );
+  }
+
+  return tenant;
+};
+
+// Check a rate limit sent to the API.
+// Throws an Error with a message meant for the client on invalid input.
+const validateRateLimit = ({ max, interval } = {}) => {
+  if (!Number.isInteger(max) || max < 1) {
+    throw new Error("max must be a positive integer");
+  }
+
+  if (!Number.isInteger(interval) || interval < 1) {
+    throw new Error("interval must be a positive number of milliseconds");
+  }
+
+  return { max, interval };
+};
+
+const setRateLimit = async (scope, name, limit) => {
+  await redis.hset(RATE_LIMITS_KEY, `${scope}:${name}`, JSON.stringify(limit));
+};
+
+// Resolves to false if there was no such limit
+const removeRateLimit = async (scope, name) => {
+  const removed = await redis
+    .multi()
+    .hdel(RATE_LIMITS_KEY, `${scope}:${name}`)
+    .del(getUsageKey(scope, name))
+    .hdel(
+      RATE_LIMIT_STATS_KEY,
+      `${scope}:${name}:deferred`,
+      `${scope}:${name}:throttled_at`
+    )
+    .exec();
+
+  return removed[0][1] === 1;
+};
+
+// Current time of Redis in ms, the clock the claim script counts by
+const getRedisTime = async () => {
+  const [seconds, microseconds] = await redis.time();
+  return Number(seconds) * 1000 + Math.floor(Number(microseconds) / 1000);
+};
+
+// Every limit with the claims counted in its current window
+const listRateLimits = async () => {
+  const now = await getRedisTime();
+  const limits = Object.entries(await redis.hgetall(RATE_LIMITS_KEY));
+  const stats = await redis.hgetall(RATE_LIMIT_STATS_KEY);
+
+  const pipeline = redis.pipeline();
+  limits.forEach(([key, config]) => {
+    const [scope, ...name] = key.split(":");
+    const { interval } = JSON.parse(config);
+    pipeline.zcount(
+      getUsageKey(scope, name.join(":")),
+      `(${now - interval}`,
+      "+inf"
+    );
+  });
+  const results = limits.length > 0 ? await pipeline.exec() : [];
+
+  return limits.map(([key, config], index) => {
+    const [scope, ...name] = key.split(":");
+    const { max, interval } = JSON.parse(config);
+    const used = results[index][1];
+
+    return {
+      scope,
+      name: name.join(":"),
+      max,
+      interval,
+      used,
+      throttled: used >= max,
+      deferred: parseInt(stats[`${key}:deferred`] || 0, 10),
+      last_throttled_at: stats[`${key}:throttled_at`]
+        ? new Date(Number(stats[`${key}:throttled_at`])).toISOString()
+        : null,
+    };
+  });
+};
+
+module.exports = {
+  RATE_LIMIT_SCOPES,
+  validateTenant,
+  validateRateLimit,
+  setRateLimit,
+  removeRateLimit,
+  listRateLimits,
+};
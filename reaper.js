@@ -0,0 +1,61 @@
+const redis = require("./redisClient");
+const { failJob } = require("./jobState");
+
+// Each worker parks the jobs it is processing in its own in-flight list
+const getInflightKey = (workerId) => `inflight:${workerId}`;
+
+// Hand the oldest in-flight job of a dead worker back for a retry.
+// Returns false once the in-flight list is empty.
+const redeliverJob = async (inflightKey) => {
+  const jobKey = await redis.lindex(inflightKey, -1);
+  if (!jobKey) return false;
+
+  // A redelivery counts against the job's retry budget. The fail script
+  // removes the job from the in-flight list in the same step, so two
+  // reapers running at the same time never redeliver a job twice.
+  const job = await redis.hgetall(jobKey);
+  const outcome = await failJob(
+    jobKey,
+    inflightKey,
+    job,
+    new Error("Worker died while processing the job")
+  );
+
+  if (!outcome) {
+    // Nothing left to do for deleted, cancelled or finished jobs
+    console.log(`Dropped job ${jobKey} from ${inflightKey}`);
+  } else if (outcome.status !== "RETRY_SCHEDULED") {
+    console.log(`Job ${jobKey} moved to dead letter queue`);
+  } else {
+    console.log(
+      `Job ${jobKey} of dead worker scheduled for retry ${outcome.retries}`
+    );
+  }
+
+  return true;
+};
+
+// Recover the jobs of workers whose heartbeat key has expired
+const reapStaleJobs = async () => {
+  try {
+    const workerIds = await redis.smembers("inflight_workers");
+
+    for (const workerId of workerIds) {
+      const isAlive = await redis.exists(workerId);
+      if (isAlive) continue;
+
+      const inflightKey = getInflightKey(workerId);
+      console.log(`Worker ${workerId} is gone, reaping ${inflightKey}`);
+
+      while (await redeliverJob(inflightKey)) {
+        // Keep going until the in-flight list is drained
+      }
+
+      await redis.srem("inflight_workers", workerId);
+    }
+  } catch (error) {
+    console.error("Error reaping stale jobs:", error);
+  }
+};
+
+module.exports = { getInflightKey, reapStaleJobs };
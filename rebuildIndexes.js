@@ -0,0 +1,109 @@
+const redis = require("./redisClient");
+const {
+  STATS_KEY,
+  JOB_INDEX_KEY,
+  getStatusIndexKey,
+  getTypeIndexKey,
+  getTenantIndexKey,
+  getTenantStatsKey,
+} = require("./jobState");
+const {
+  RETENTION_POLICIES_KEY,
+  EXPIRING_JOBS_KEY,
+  RETENTION_STATUSES,
+} = require("./retention");
+
+// Rebuild the job indexes and status counters from the job hashes, for data
+// written before the indexes existed. Finished jobs are scheduled to expire
+// under the current retention policies, counted from when they finished.
+// Run it once while no worker or API instance is running:
+//   node rebuildIndexes.js
+
+// Walk every key matching the pattern without blocking Redis
+const scanKeys = async (pattern, onKeys) => {
+  let cursor = "0";
+  do {
+    const [next, keys] = await redis.scan(
+      cursor,
+      "MATCH",
+      pattern,
+      "COUNT",
+      1000
+    );
+    cursor = next;
+    await onKeys(keys);
+  } while (cursor !== "0");
+};
+
+const rebuildIndexes = async () => {
+  // Drop the current indexes and counters
+  await scanKeys("jobs:*", async (keys) => {
+    if (keys.length > 0) await redis.del(...keys);
+  });
+
+  const policies = await redis.hgetall(RETENTION_POLICIES_KEY);
+  let total = 0;
+
+  // Jobs of a tenant are kept under its prefix, see tenants.js
+  const indexJobs = async (keys) => {
+    for (const key of keys) {
+      // Skips the :dependencies and :dependents sets
+      if ((await redis.type(key)) !== "hash") continue;
+
+      const [status, type, tenant, createdAt, ...finishTimes] =
+        await redis.hmget(
+          key,
+          "status",
+          "type",
+          "tenant",
+          "created_at",
+          "finished_at",
+          "failed_at",
+          "cancelled_at"
+        );
+      if (!status) continue;
+
+      const score = Number(createdAt) || 0;
+      const transaction = redis
+        .multi()
+        .zadd(JOB_INDEX_KEY, score, key)
+        .zadd(getStatusIndexKey(status), score, key)
+        .zadd(getTypeIndexKey(type || ""), score, key)
+        .hincrby(STATS_KEY, status, 1);
+
+      if (tenant) {
+        transaction
+          .zadd(getTenantIndexKey(tenant), score, key)
+          .hincrby(getTenantStatsKey(tenant), status, 1);
+      }
+
+      const retention =
+        (type && policies[`${status}:${type}`]) || policies[status];
+      if (RETENTION_STATUSES.includes(status) && retention) {
+        const finishedAt = Math.max(
+          score,
+          ...finishTimes.map(Number).filter(Boolean)
+        );
+        const expiresAt = finishedAt + Number(retention);
+        transaction
+          .zadd(EXPIRING_JOBS_KEY, expiresAt, key)
+          .hset(key, "expires_at", expiresAt);
+      }
+
+      await transaction.exec();
+      total++;
+    }
+  };
+
+  await scanKeys("job:*", indexJobs);
+  await scanKeys("tenant:*:job:*", indexJobs);
+
+  console.log(`Indexed ${total} jobs`);
+};
+
+rebuildIndexes()
+  .catch((error) => {
+    console.error("Error rebuilding indexes:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => redis.quit());
@@ -6,6 +6,8 @@ require("dotenv").config();
 const redis = new Redis({
   host: process.env.REDIS_HOST || "127.0.0.1",
   port: process.env.REDIS_PORT || 6379,
+  // Job state transitions, duplicated connections get them as well
+  scripts: require("./lua"),
 });
 
 module.exports = redis;
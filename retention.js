@@ -0,0 +1,116 @@
+const fs = require("fs");
+
+const redis = require("./redisClient");
+const { expireJob } = require("./jobState");
+
+// Hash of how long finished jobs are kept, in ms, keyed by "<status>" or
+// "<status>:<type>". A job type's own policy wins over the one of its
+// status. The job scripts schedule the removal of a job when it finishes,
+// see lua/helpers.lua.
+const RETENTION_POLICIES_KEY = "retention_policies";
+
+// Sorted set of finished jobs scored by the time they expire
+const EXPIRING_JOBS_KEY = "jobs:expiring";
+
+// Jobs in these states have finished and can expire
+const RETENTION_STATUSES = ["COMPLETED", "FAILED", "CANCELLED", "TIMED_OUT"];
+
+// How many expired jobs are leased per pass
+const SWEEP_BATCH_SIZE = 100;
+
+// A leased job comes due again after this long
+const SWEEP_LEASE = 5 * 60 * 1000;
+
+// Expired jobs are appended to this NDJSON file before they are removed.
+// Without it they are removed without a trace.
+const ARCHIVE_PATH = process.env.JOB_ARCHIVE_PATH || null;
+
+const getPolicyField = (status, type) => (type ? `${status}:${type}` : status);
+
+// Check a retention policy sent to the API.
+// Throws an Error with a message meant for the client on invalid input.
+const validateRetention = ({ ttl } = {}) => {
+  if (!Number.isInteger(ttl) || ttl < 1) {
+    throw new Error("ttl must be a positive number of milliseconds");
+  }
+
+  return { ttl };
+};
+
+// Policies apply to jobs finishing from now on
+const setRetentionPolicy = async (status, type, { ttl }) => {
+  await redis.hset(RETENTION_POLICIES_KEY, getPolicyField(status, type), ttl);
+};
+
+// Resolves to false if there was no such policy
+const removeRetentionPolicy = async (status, type) => {
+  const removed = await redis.hdel(
+    RETENTION_POLICIES_KEY,
+    getPolicyField(status, type)
+  );
+  return removed === 1;
+};
+
+const listRetentionPolicies = async () => {
+  const policies = await redis.hgetall(RETENTION_POLICIES_KEY);
+
+  return Object.entries(policies).map(([field, ttl]) => {
+    const [status, ...type] = field.split(":");
+    return { status, type: type.join(":") || null, ttl: Number(ttl) };
+  });
+};
+
+// Append a job to the archive as one line of JSON
+const archiveJob = async (jobId, job) => {
+  const line = JSON.stringify({
+    jobId,
+    archived_at: new Date().toISOString(),
+    ...job,
+  });
+  await fs.promises.appendFile(ARCHIVE_PATH, `${line}\n`);
+};
+
+// Archive and remove every job whose retention has run out, together with
+// its dependency sets and any queue entries. Jobs are leased first, so
+// sweepers running at the same time never archive a job twice. Resolves to
+// the number of removed jobs.
+const sweepExpiredJobs = async (now = Date.now()) => {
+  const leaseEnd = now + SWEEP_LEASE;
+  let expired = 0;
+
+  for (;;) {
+    const jobIds = await redis.jobLeaseExpiring(
+      EXPIRING_JOBS_KEY,
+      now,
+      leaseEnd,
+      SWEEP_BATCH_SIZE
+    );
+
+    for (const jobId of jobIds) {
+      // Archived first, a job that is no longer due afterwards is archived
+      // again once it expires for good
+      if (ARCHIVE_PATH) {
+        const job = await redis.hgetall(jobId);
+        if (Object.keys(job).length > 0) await archiveJob(jobId, job);
+      }
+
+      if (await expireJob(jobId, leaseEnd)) {
+        console.log(`Job ${jobId} expired`);
+        expired++;
+      }
+    }
+
+    if (jobIds.length < SWEEP_BATCH_SIZE) return expired;
+  }
+};
+
+module.exports = {
+  RETENTION_POLICIES_KEY,
+  EXPIRING_JOBS_KEY,
+  RETENTION_STATUSES,
+  validateRetention,
+  setRetentionPolicy,
+  removeRetentionPolicy,
+  listRetentionPolicies,
+  sweepExpiredJobs,
+};
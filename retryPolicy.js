@@ -0,0 +1,90 @@
+const { getHandlerOptions } = require("./handlers");
+
+// Used for every setting that neither the job nor its type overrides
+const DEFAULT_RETRY_POLICY = {
+  maxRetries: 3,
+  backoff: "exponential",
+  delay: 1000,
+  maxDelay: 60000,
+  jitter: true,
+};
+
+const BACKOFF_STRATEGIES = ["fixed", "linear", "exponential"];
+
+// Check a retry policy given on enqueue or registered for a job type.
+// Throws an Error with a message meant for the client on invalid input.
+const validateRetryPolicy = (policy) => {
+  if (typeof policy !== "object" || policy === null || Array.isArray(policy)) {
+    throw new Error("retry must be an object");
+  }
+
+  const { maxRetries, backoff, delay, maxDelay, jitter } = policy;
+
+  if (
+    maxRetries !== undefined &&
+    (!Number.isInteger(maxRetries) || maxRetries < 0)
+  ) {
+    throw new Error("retry.maxRetries must be a non-negative integer");
+  }
+
+  if (backoff !== undefined && !BACKOFF_STRATEGIES.includes(backoff)) {
+    throw new Error(
+      `retry.backoff must be one of ${BACKOFF_STRATEGIES.join(", ")}`
+    );
+  }
+
+  for (const [field, value] of Object.entries({ delay, maxDelay })) {
+    if (value !== undefined && (!Number.isFinite(value) || value < 0)) {
+      throw new Error(`retry.${field} must be a non-negative number of ms`);
+    }
+  }
+
+  if (jitter !== undefined && typeof jitter !== "boolean") {
+    throw new Error("retry.jitter must be a boolean");
+  }
+
+  return { maxRetries, backoff, delay, maxDelay, jitter };
+};
+
+// Effective policy of a job: job settings over type defaults over defaults
+const resolveRetryPolicy = (job) => {
+  const jobPolicy = job.retry_policy ? JSON.parse(job.retry_policy) : {};
+  const typePolicy = getHandlerOptions(job.type).retry || {};
+  const policy = { ...DEFAULT_RETRY_POLICY };
+
+  for (const source of [typePolicy, jobPolicy]) {
+    for (const [key, value] of Object.entries(source)) {
+      if (value !== undefined) policy[key] = value;
+    }
+  }
+
+  return policy;
+};
+
+// Milliseconds to wait before the given retry (1 for the first retry)
+const computeRetryDelay = (policy, retry) => {
+  let delay = policy.delay;
+
+  if (policy.backoff === "linear") {
+    delay = policy.delay * retry;
+  } else if (policy.backoff === "exponential") {
+    delay = policy.delay * 2 ** (retry - 1);
+  }
+
+  delay = Math.min(delay, policy.maxDelay);
+
+  // Spread retries between half and the full delay so failing jobs
+  // don't all come back at the same moment
+  if (policy.jitter) {
+    delay = delay / 2 + Math.random() * (delay / 2);
+  }
+
+  return Math.round(delay);
+};
+
+module.exports = {
+  DEFAULT_RETRY_POLICY,
+  validateRetryPolicy,
+  resolveRetryPolicy,
+  computeRetryDelay,
+};
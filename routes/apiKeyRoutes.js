@@ -0,0 +1,18 @@
+const express = require("express");
+const router = express.Router();
+const apiKeyController = require("../controllers/apiKeyController");
+const { requireScope } = require("../controllers/authController");
+
+// Keys hand out scopes and tenants, so only admin keys manage them
+router.use(requireScope("admin"));
+
+// List API keys
+router.get("/", apiKeyController.getApiKeys);
+
+// Create an API key
+router.post("/", apiKeyController.createApiKey);
+
+// Revoke an API key
+router.delete("/:id", apiKeyController.deleteApiKey);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require("express");
+const router = express.Router();
+const batchController = require("../controllers/batchController");
+const { requireScope } = require("../controllers/authController");
+
+// Enqueue a batch of jobs
+router.post("/", requireScope("enqueue"), batchController.createBatch);
+
+// Get the totals, progress and jobs of a batch
+router.get("/:batchId", requireScope("read"), batchController.getBatch);
+
+// Cancel every job of a batch
+router.post(
+  "/:batchId/cancel",
+  requireScope("cancel"),
+  batchController.cancelBatch
+);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require("express");
+const router = express.Router();
+const deadLetterController = require("../controllers/deadLetterController");
+const { requireScope } = require("../controllers/authController");
+
+// The dead letter queue is shared by the jobs of every tenant
+router.use(requireScope("admin"));
+
+// Get dead-lettered jobs
+router.get("/", deadLetterController.getDeadLetterJobs);
+
+// Requeue all dead-lettered jobs matching the filters
+router.post("/requeue", deadLetterController.requeueDeadLetterJobs);
+
+// Purge all dead-lettered jobs matching the filters
+router.delete("/", deadLetterController.purgeDeadLetterJobs);
+
+// Get a dead-lettered job
+router.get("/:jobId", deadLetterController.getDeadLetterJob);
+
+// Requeue a dead-lettered job
+router.post("/:jobId/requeue", deadLetterController.requeueDeadLetterJob);
+
+// Purge a dead-lettered job
+router.delete("/:jobId", deadLetterController.purgeDeadLetterJob);
+
+module.exports = router;
@@ -1,29 +1,60 @@
 const express = require("express");
 const router = express.Router();
 const jobController = require("../controllers/jobController");
+const apiKeyController = require("../controllers/apiKeyController");
+const { requireScope } = require("../controllers/authController");
 
 // Enqueue a job
-router.post("/", jobController.enqueueJob);
+router.post("/", requireScope("enqueue"), jobController.enqueueJob);
 
 // Get all jobs
-router.get("/", jobController.getAllJobs);
+router.get("/", requireScope("read"), jobController.getAllJobs);
 
 // Get all job ids
-router.get("/ids", jobController.getAllJobIds);
+router.get("/ids", requireScope("read"), jobController.getAllJobIds);
 
 // Get Job Stats
-router.get("/stats", jobController.getJobStats);
+router.get("/stats", requireScope("read"), jobController.getJobStats);
+
+// Token for opening the event streams from a browser
+router.post(
+  "/events/token",
+  requireScope("read"),
+  apiKeyController.createEventToken
+);
+
+// Stream the events of every job, or of one queue with ?queue=
+router.get("/events", requireScope("read"), jobController.streamQueueEvents);
 
 // Get job status
-router.get("/:jobId", jobController.getJobStatus);
+router.get("/:jobId", requireScope("read"), jobController.getJobStatus);
 
 // Get job result
-router.get("/:jobId/result", jobController.getJobResult);
+router.get("/:jobId/result", requireScope("read"), jobController.getJobResult);
+
+// Stream job progress, status changes and result
+router.get(
+  "/:jobId/events",
+  requireScope("read"),
+  jobController.streamJobEvents
+);
+
+// Webhook delivery log and manual redelivery
+router.get(
+  "/:jobId/webhooks",
+  requireScope("read"),
+  jobController.getJobWebhooks
+);
+router.post(
+  "/:jobId/webhooks/:deliveryId/redeliver",
+  requireScope("enqueue"),
+  jobController.redeliverJobWebhook
+);
 
 // Delete a job
-router.delete("/:jobId", jobController.deleteJob);
+router.delete("/:jobId", requireScope("cancel"), jobController.deleteJob);
 
 // Cancel Job
-router.get("/:jobId/cancel", jobController.cancelJob);
+router.get("/:jobId/cancel", requireScope("cancel"), jobController.cancelJob);
 
 module.exports = router;
@@ -0,0 +1,14 @@
+const express = require("express");
+const router = express.Router();
+const jobTypeController = require("../controllers/jobTypeController");
+const { requireScope } = require("../controllers/authController");
+
+router.use(requireScope("read"));
+
+// List the registered job types
+router.get("/", jobTypeController.getJobTypes);
+
+// Describe one job type
+router.get("/:type", jobTypeController.getJobType);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require("express");
+const router = express.Router();
+const metricsController = require("../controllers/metricsController");
+const { requireScope } = require("../controllers/authController");
+
+// The metrics cover the whole service
+router.use(requireScope("admin"));
+
+// Prometheus scrape target
+router.get("/", metricsController.getMetrics);
+
+module.exports = router;
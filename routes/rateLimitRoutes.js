@@ -0,0 +1,18 @@
+const express = require("express");
+const router = express.Router();
+const rateLimitController = require("../controllers/rateLimitController");
+const { requireScope } = require("../controllers/authController");
+
+// The limits bind every key of a job type or tenant
+router.use(requireScope("admin"));
+
+// List rate limits and their usage
+router.get("/", rateLimitController.getRateLimits);
+
+// Create or replace the limit of a job type or tenant
+router.put("/:scope/:name", rateLimitController.setRateLimit);
+
+// Remove a limit
+router.delete("/:scope/:name", rateLimitController.deleteRateLimit);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require("express");
+const router = express.Router();
+const retentionController = require("../controllers/retentionController");
+const { requireScope } = require("../controllers/authController");
+
+// Retention removes the finished jobs of every tenant
+router.use(requireScope("admin"));
+
+// List retention policies
+router.get("/", retentionController.getRetentionPolicies);
+
+// Remove the expired jobs now
+router.post("/sweep", retentionController.sweepExpiredJobs);
+
+// Create or replace the retention of a status, or of a status of a job type
+router.put("/:status", retentionController.setRetentionPolicy);
+router.put("/:status/:type", retentionController.setRetentionPolicy);
+
+// Remove a policy
+router.delete("/:status", retentionController.deleteRetentionPolicy);
+router.delete("/:status/:type", retentionController.deleteRetentionPolicy);
+
+module.exports = router;
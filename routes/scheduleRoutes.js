@@ -0,0 +1,30 @@
+const express = require("express");
+const router = express.Router();
+const scheduleController = require("../controllers/scheduleController");
+const { requireScope } = require("../controllers/authController");
+
+// Schedules enqueue their jobs outside of any tenant
+router.use(requireScope("admin"));
+
+// Create a schedule
+router.post("/", scheduleController.createSchedule);
+
+// Get all schedules
+router.get("/", scheduleController.getAllSchedules);
+
+// Get a schedule and its history
+router.get("/:scheduleId", scheduleController.getSchedule);
+
+// Update a schedule
+router.put("/:scheduleId", scheduleController.updateSchedule);
+
+// Pause a schedule
+router.post("/:scheduleId/pause", scheduleController.pauseSchedule);
+
+// Resume a schedule
+router.post("/:scheduleId/resume", scheduleController.resumeSchedule);
+
+// Delete a schedule
+router.delete("/:scheduleId", scheduleController.deleteSchedule);
+
+module.exports = router;
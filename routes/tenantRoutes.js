@@ -0,0 +1,18 @@
+const express = require("express");
+const router = express.Router();
+const tenantController = require("../controllers/tenantController");
+const { requireScope } = require("../controllers/authController");
+
+// Tenants may not raise their own quota
+router.use(requireScope("admin"));
+
+// List tenant quotas and their usage
+router.get("/quotas", tenantController.getTenantQuotas);
+
+// Create or replace the quota of a tenant
+router.put("/:tenant/quota", tenantController.setTenantQuota);
+
+// Remove the quota of a tenant
+router.delete("/:tenant/quota", tenantController.deleteTenantQuota);
+
+module.exports = router;
@@ -1,6 +1,9 @@
 const express = require("express");
 const router = express.Router();
 const workerController = require("../controllers/workerController");
+const { requireScope } = require("../controllers/authController");
+
+router.use(requireScope("admin"));
 
 router.get("/", workerController.getWorkerHealth);
 
@@ -0,0 +1,84 @@
+const { execFile } = require("child_process");
+const { promisify } = require("util");
+const { v4: uuidv4 } = require("uuid");
+
+const execFileAsync = promisify(execFile);
+
+// Containers are found by this label
+const WORKER_LABEL = "redis-job-service.role=worker";
+
+// Settings handed on to the worker containers if they are set here
+const FORWARDED_ENV = [
+  "REDIS_HOST",
+  "REDIS_PORT",
+  "WORKER_QUEUES",
+  "WORKER_CONCURRENCY",
+  "WORKER_SHUTDOWN_TIMEOUT",
+  "WEBHOOK_SECRET",
+  "JOB_ARCHIVE_PATH",
+  "TRACE_EXPORTER_URL",
+];
+
+// Worker containers run from DOCKER_WORKER_IMAGE through the docker CLI,
+// on DOCKER_NETWORK if set. The container name is the instance id.
+const createDockerScaler = () => {
+  const image = process.env.DOCKER_WORKER_IMAGE;
+  if (!image) {
+    throw new Error("DOCKER_WORKER_IMAGE is required by the docker provider");
+  }
+
+  const docker = async (...args) => {
+    const { stdout } = await execFileAsync("docker", args);
+    return stdout.trim();
+  };
+
+  const listInstances = async () => {
+    const output = await docker(
+      "ps",
+      "--filter",
+      `label=${WORKER_LABEL}`,
+      "--format",
+      "{{.Names}}"
+    );
+    return output ? output.split("\n") : [];
+  };
+
+  const launchInstances = async (count) => {
+    const instanceIds = [];
+
+    for (let i = 0; i < count; i++) {
+      const instanceId = `worker-${uuidv4()}`;
+      await docker(
+        "run",
+        "--detach",
+        "--rm",
+        "--name",
+        instanceId,
+        "--label",
+        WORKER_LABEL,
+        ...(process.env.DOCKER_NETWORK
+          ? ["--network", process.env.DOCKER_NETWORK]
+          : []),
+        "--env",
+        `INSTANCE_ID=${instanceId}`,
+        ...FORWARDED_ENV.filter((name) => process.env[name]).flatMap((name) => [
+          "--env",
+          name,
+        ]),
+        image
+      );
+      instanceIds.push(instanceId);
+    }
+
+    return instanceIds;
+  };
+
+  // docker stop sends SIGTERM, the container is removed once it exits
+  const terminateInstances = async (instanceIds) => {
+    await docker("stop", ...instanceIds);
+  };
+
+  return { name: "docker", listInstances, launchInstances, terminateInstances };
+};
+
+module.exports = createDockerScaler;
@@ -0,0 +1,58 @@
+const AWS = require("aws-sdk");
+
+// Worker instances launched from an EC2 launch template and found by their
+// Role=worker tag. Workers take the EC2 instance id as INSTANCE_ID, e.g.
+// from the instance metadata in the launch template's user data.
+const createEc2Scaler = () => {
+  const launchTemplateId = process.env.LAUNCH_TEMPLATE_ID;
+  if (!launchTemplateId) {
+    throw new Error("LAUNCH_TEMPLATE_ID is required by the ec2 provider");
+  }
+
+  const ec2 = new AWS.EC2({
+    region: process.env.AWS_REGION || "ap-southeast-1",
+  });
+
+  const listInstances = async () => {
+    const data = await ec2
+      .describeInstances({
+        Filters: [
+          { Name: "tag:Role", Values: ["worker"] },
+          { Name: "instance-state-name", Values: ["running", "pending"] },
+        ],
+      })
+      .promise();
+
+    return data.Reservations.flatMap((r) =>
+      r.Instances.map((i) => i.InstanceId)
+    );
+  };
+
+  const launchInstances = async (count) => {
+    const response = await ec2
+      .runInstances({
+        LaunchTemplate: { LaunchTemplateId: launchTemplateId },
+        MinCount: count,
+        MaxCount: count,
+      })
+      .promise();
+
+    const instanceIds = response.Instances.map((i) => i.InstanceId);
+    await ec2
+      .createTags({
+        Resources: instanceIds,
+        Tags: [{ Key: "Role", Value: "worker" }],
+      })
+      .promise();
+
+    return instanceIds;
+  };
+
+  const terminateInstances = async (instanceIds) => {
+    await ec2.terminateInstances({ InstanceIds: instanceIds }).promise();
+  };
+
+  return { name: "ec2", listInstances, launchInstances, terminateInstances };
+};
+
+module.exports = createEc2Scaler;
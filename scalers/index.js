@@ -0,0 +1,28 @@
+// Providers the autoscaler launches and terminates worker instances with.
+// A provider is created by a factory and exposes:
+// name: the provider name
+// listInstances(): ids of the running worker instances
+// launchInstances(count): start workers, resolves to the new instance ids
+// terminateInstances(instanceIds): stop the given instances
+// An instance id is what the workers on it report as INSTANCE_ID, so the
+// autoscaler can drain them before terminating the instance.
+const PROVIDERS = {
+  ec2: () => require("./ec2"),
+  local: () => require("./local"),
+  docker: () => require("./docker"),
+};
+
+const SCALING_PROVIDERS = Object.keys(PROVIDERS);
+
+// Create the provider configured through SCALING_PROVIDER, ec2 by default
+const createScaler = (name = process.env.SCALING_PROVIDER || "ec2") => {
+  if (!PROVIDERS[name]) {
+    throw new Error(
+      `SCALING_PROVIDER must be one of ${SCALING_PROVIDERS.join(", ")}`
+    );
+  }
+
+  return PROVIDERS[name]()();
+};
+
+module.exports = { SCALING_PROVIDERS, createScaler };
@@ -0,0 +1,46 @@
+const path = require("path");
+const { spawn } = require("child_process");
+const { v4: uuidv4 } = require("uuid");
+
+const WORKER_SCRIPT = path.join(__dirname, "..", "worker.js");
+
+// Worker processes spawned on this machine as children of the autoscaler,
+// one per instance. They inherit its environment and output, so
+// WORKER_QUEUES or WORKER_CONCURRENCY apply to them too. Workers of an
+// earlier autoscaler run are not seen.
+const createLocalScaler = () => {
+  const children = new Map();
+
+  const listInstances = async () => Array.from(children.keys());
+
+  const launchInstances = async (count) => {
+    return Array.from({ length: count }, () => {
+      const instanceId = `local-${uuidv4()}`;
+      const child = spawn(process.execPath, [WORKER_SCRIPT], {
+        env: { ...process.env, INSTANCE_ID: instanceId },
+        stdio: "inherit",
+      });
+
+      children.set(instanceId, child);
+      child.on("exit", (code, signal) => {
+        children.delete(instanceId);
+        console.log(
+          `Local worker ${instanceId} exited with ${signal || `code ${code}`}`
+        );
+      });
+
+      return instanceId;
+    });
+  };
+
+  // Workers stop on SIGTERM once their running jobs are done
+  const terminateInstances = async (instanceIds) => {
+    for (const instanceId of instanceIds) {
+      children.get(instanceId)?.kill("SIGTERM");
+    }
+  };
+
+  return { name: "local", listInstances, launchInstances, terminateInstances };
+};
+
+module.exports = createLocalScaler;
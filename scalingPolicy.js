@@ -0,0 +1,136 @@
+// How the autoscaler decides the number of worker instances, see monitor.js.
+// Every queue is scaled by its own policy, set in SCALING_POLICIES as JSON
+// keyed by queue name, e.g.
+// {"high_priority_jobs":{"backlogPerWorker":10,"maxJobAge":30000}}
+// backlogPerWorker: pending jobs one instance is expected to keep up with
+// maxJobAge: ms the oldest pending job may wait before an instance is added
+// Queues without a policy of their own use the default one.
+const DEFAULT_POLICY = { backlogPerWorker: 50, maxJobAge: null };
+
+// Read a number setting from the environment, failing on startup if invalid
+const readSetting = (name, fallback, isValid) => {
+  if (process.env[name] === undefined) return fallback;
+
+  const value = Number(process.env[name]);
+  if (!isValid(value)) {
+    throw new Error(`${name} is not a valid value: ${process.env[name]}`);
+  }
+  return value;
+};
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+const isNonNegativeInteger = (value) => Number.isInteger(value) && value >= 0;
+
+const MIN_WORKERS = readSetting("MIN_WORKERS", 1, isNonNegativeInteger);
+const MAX_WORKERS = readSetting("MAX_WORKERS", 10, isPositiveInteger);
+
+// No scale-up within this many ms of the last one, and no scale-down within
+// this many ms of the last scaling action of either kind
+const SCALE_UP_COOLDOWN = readSetting(
+  "SCALE_UP_COOLDOWN",
+  60 * 1000,
+  isNonNegativeInteger
+);
+const SCALE_DOWN_COOLDOWN = readSetting(
+  "SCALE_DOWN_COOLDOWN",
+  5 * 60 * 1000,
+  isNonNegativeInteger
+);
+
+// Instances are only removed once the backlog per instance has dropped to
+// this share of the target, so a backlog close to it does not cause flapping
+const SCALE_DOWN_RATIO = readSetting(
+  "SCALE_DOWN_RATIO",
+  0.5,
+  (value) => value > 0 && value <= 1
+);
+
+// Check a policy, throws an Error naming the queue on invalid input
+const validatePolicy = (queueName, policy) => {
+  const { backlogPerWorker, maxJobAge = null } = policy || {};
+
+  if (!isPositiveInteger(backlogPerWorker)) {
+    throw new Error(
+      `backlogPerWorker of queue "${queueName}" must be a positive integer`
+    );
+  }
+
+  if (maxJobAge !== null && !isPositiveInteger(maxJobAge)) {
+    throw new Error(
+      `maxJobAge of queue "${queueName}" must be a positive number of milliseconds`
+    );
+  }
+
+  return { backlogPerWorker, maxJobAge };
+};
+
+const parsePolicies = (config) => {
+  if (!config) return {};
+
+  const policies = JSON.parse(config);
+  return Object.fromEntries(
+    Object.entries(policies).map(([queueName, policy]) => [
+      queueName,
+      validatePolicy(queueName, { ...DEFAULT_POLICY, ...policy }),
+    ])
+  );
+};
+
+const POLICIES = parsePolicies(process.env.SCALING_POLICIES);
+
+const getPolicy = (queueName) => POLICIES[queueName] || DEFAULT_POLICY;
+
+const clamp = (count) => Math.min(Math.max(count, MIN_WORKERS), MAX_WORKERS);
+
+// Decide the scaling action for the current queues. queues lists
+// { name, length, oldestAge } with the age in ms of the oldest pending job,
+// serving is the number of instances not draining and lastScaled holds the
+// times of the last scale-up and scale-down. Resolves to
+// { action: "up" | "down" | "none", count, reason }.
+const decideScaling = ({ queues, serving, lastScaled, now = Date.now() }) => {
+  let wanted = 0;
+  let kept = 0;
+  const lateQueues = [];
+
+  for (const { name, length, oldestAge } of queues) {
+    const { backlogPerWorker, maxJobAge } = getPolicy(name);
+    wanted += Math.ceil(length / backlogPerWorker);
+    kept += Math.ceil(length / (backlogPerWorker * SCALE_DOWN_RATIO));
+
+    if (maxJobAge !== null && oldestAge > maxJobAge) {
+      lateQueues.push(name);
+    }
+  }
+
+  // Jobs waiting too long need another instance whatever the backlog
+  if (lateQueues.length > 0) {
+    wanted = Math.max(wanted, serving + 1);
+  }
+  wanted = clamp(wanted);
+  kept = clamp(Math.max(kept, wanted));
+
+  if (wanted > serving) {
+    const reason =
+      lateQueues.length > 0
+        ? `jobs waiting too long on ${lateQueues.join(", ")}`
+        : `${wanted} instance(s) wanted for the backlog`;
+
+    if (now - lastScaled.up < SCALE_UP_COOLDOWN) {
+      return { action: "none", count: 0, reason: `${reason}, cooling down` };
+    }
+    return { action: "up", count: wanted - serving, reason };
+  }
+
+  if (kept < serving) {
+    const reason = `${kept} instance(s) needed for the backlog`;
+
+    if (now - Math.max(lastScaled.up, lastScaled.down) < SCALE_DOWN_COOLDOWN) {
+      return { action: "none", count: 0, reason: `${reason}, cooling down` };
+    }
+    return { action: "down", count: serving - kept, reason };
+  }
+
+  return { action: "none", count: 0, reason: "backlog within targets" };
+};
+
+module.exports = { decideScaling };
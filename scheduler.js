@@ -0,0 +1,257 @@
+const { v4: uuidv4 } = require("uuid");
+const cronParser = require("cron-parser");
+
+const redis = require("./redisClient");
+const { buildJob, createJob } = require("./jobService");
+
+// Set of every schedule id
+const SCHEDULE_INDEX_KEY = "schedules";
+
+// Sorted set of active schedules, scored by their next run time
+const SCHEDULE_RUNS_KEY = "schedule_runs";
+
+// Only the instance holding this key fires schedules
+const LEADER_KEY = "scheduler:leader";
+const LEADER_TTL = 15000;
+
+// Number of produced job ids kept per schedule
+const HISTORY_LIMIT = 100;
+
+// Occurrence locks outlive any clock drift between API instances
+const OCCURRENCE_LOCK_TTL = 24 * 60 * 60 * 1000;
+
+const MIN_INTERVAL = 1000;
+
+// An occurrence whose job could not be enqueued is tried again after this
+const FIRE_RETRY_DELAY = 30000;
+
+const instanceId = uuidv4();
+
+// Schedule ids are their Redis keys, like job ids
+const createScheduleId = () => `schedule:${uuidv4()}`;
+const getHistoryKey = (scheduleId) => `${scheduleId}:history`;
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Next occurrence of a schedule strictly after the given time
+const computeNextRun = (schedule, after = Date.now()) => {
+  if (schedule.cron) {
+    const interval = cronParser.parseExpression(schedule.cron, {
+      currentDate: new Date(after),
+      tz: schedule.timezone,
+    });
+    return interval.next().getTime();
+  }
+
+  const every = Number(schedule.interval);
+  const start = Number(schedule.created_at || after);
+
+  // Skip occurrences that were missed while nobody was running
+  return start + (Math.floor((after - start) / every) + 1) * every;
+};
+
+// Validate schedule input, merged over an existing schedule on update.
+// Throws an Error with a message meant for the client on invalid input.
+const buildSchedule = async (input, existing = {}) => {
+  const schedule = { ...existing };
+
+  for (const field of ["name", "type", "priority", "queue", "timezone"]) {
+    if (input[field] !== undefined) schedule[field] = input[field];
+  }
+
+  if (input.data !== undefined) {
+    schedule.data = JSON.stringify(input.data);
+  }
+
+  // cron and interval replace each other
+  if (input.cron !== undefined || input.interval !== undefined) {
+    delete schedule.cron;
+    delete schedule.interval;
+    if (input.cron !== undefined) schedule.cron = input.cron;
+    if (input.interval !== undefined) schedule.interval = input.interval;
+  }
+
+  if (!schedule.type || typeof schedule.type !== "string") {
+    throw new Error("type is required");
+  }
+
+  if (schedule.cron !== undefined && schedule.interval !== undefined) {
+    throw new Error("Use either cron or interval, not both");
+  }
+
+  if (schedule.cron === undefined && schedule.interval === undefined) {
+    throw new Error("Either cron or interval is required");
+  }
+
+  schedule.timezone = schedule.timezone || "UTC";
+  if (!isValidTimezone(schedule.timezone)) {
+    throw new Error(`Invalid timezone "${schedule.timezone}"`);
+  }
+
+  if (schedule.cron !== undefined) {
+    try {
+      cronParser.parseExpression(schedule.cron, { tz: schedule.timezone });
+    } catch (error) {
+      throw new Error(`Invalid cron expression "${schedule.cron}"`);
+    }
+  } else {
+    const interval = Number(schedule.interval);
+    if (!Number.isInteger(interval) || interval < MIN_INTERVAL) {
+      throw new Error(
+        `interval must be a whole number of milliseconds >= ${MIN_INTERVAL}`
+      );
+    }
+    schedule.interval = interval;
+  }
+
+  schedule.priority = schedule.priority || "normal";
+
+  // Run the job options through the enqueue validation
+  await buildJob(toJobRequest(schedule));
+
+  return schedule;
+};
+
+// The enqueue request a schedule produces on every occurrence
+const toJobRequest = (schedule) => ({
+  type: schedule.type,
+  data: schedule.data === undefined ? undefined : JSON.parse(schedule.data),
+  priority: schedule.priority,
+  queue: schedule.queue || undefined,
+});
+
+// Record a pass over a schedule and when it comes due again, skipped if the
+// schedule was deleted in the meantime
+const recordRun = (scheduleId, runAt, historyEntry, fields) =>
+  redis.scheduleRecord(
+    scheduleId,
+    SCHEDULE_RUNS_KEY,
+    getHistoryKey(scheduleId),
+    runAt,
+    historyEntry,
+    HISTORY_LIMIT,
+    ...Object.entries(fields).flat()
+  );
+
+// Enqueue the job for one occurrence of a schedule
+const fireSchedule = async (scheduleId) => {
+  const schedule = await redis.hgetall(scheduleId);
+
+  if (!schedule.status || schedule.status !== "ACTIVE") {
+    await redis.zrem(SCHEDULE_RUNS_KEY, scheduleId);
+    return;
+  }
+
+  const occurrence = Number(schedule.next_run_at);
+
+  // The occurrence lock makes sure no two instances fire the same run,
+  // even if leadership changes hands in the middle of a pass
+  const lockKey = `${scheduleId}:fired:${occurrence}`;
+  const claimed = await redis.set(
+    lockKey,
+    instanceId,
+    "PX",
+    OCCURRENCE_LOCK_TTL,
+    "NX"
+  );
+
+  const nextRunAt = computeNextRun(schedule, Math.max(occurrence, Date.now()));
+
+  if (!claimed) {
+    await recordRun(scheduleId, nextRunAt, "", { next_run_at: nextRunAt });
+    return;
+  }
+
+  let jobId;
+  try {
+    ({ jobId } = await createJob(await buildJob(toJobRequest(schedule))));
+  } catch (error) {
+    // Keep the occurrence due and free its lock, so a later pass fires it
+    await redis.del(lockKey);
+    await recordRun(scheduleId, Date.now() + FIRE_RETRY_DELAY, "", {
+      last_error: error.message,
+      last_error_at: Date.now(),
+    });
+    throw error;
+  }
+
+  await recordRun(
+    scheduleId,
+    nextRunAt,
+    JSON.stringify({ jobId, fired_at: Date.now(), occurrence }),
+    {
+      next_run_at: nextRunAt,
+      last_run_at: occurrence,
+      last_job_id: jobId,
+      last_error: "",
+      last_error_at: "",
+    }
+  );
+
+  console.log(`Schedule ${scheduleId} enqueued job ${jobId}`);
+};
+
+// Try to become or stay the scheduler leader
+const holdLeadership = async () => {
+  const acquired = await redis.set(
+    LEADER_KEY,
+    instanceId,
+    "PX",
+    LEADER_TTL,
+    "NX"
+  );
+  if (acquired) return true;
+
+  if ((await redis.get(LEADER_KEY)) === instanceId) {
+    await redis.pexpire(LEADER_KEY, LEADER_TTL);
+    return true;
+  }
+
+  return false;
+};
+
+// Fire every schedule whose next run time has passed
+const fireDueSchedules = async () => {
+  try {
+    if (!(await holdLeadership())) return;
+
+    const dueSchedules = await redis.zrangebyscore(
+      SCHEDULE_RUNS_KEY,
+      "-inf",
+      Date.now()
+    );
+
+    for (const scheduleId of dueSchedules) {
+      try {
+        await fireSchedule(scheduleId);
+      } catch (error) {
+        console.error(`Error firing schedule ${scheduleId}:`, error);
+      }
+    }
+  } catch (error) {
+    console.error("Error in scheduler loop:", error);
+  }
+};
+
+// Run the scheduler loop every second
+const startScheduler = () => {
+  console.log(`Starting job scheduler (instance ${instanceId})...`);
+  setInterval(fireDueSchedules, 1000);
+};
+
+module.exports = {
+  SCHEDULE_INDEX_KEY,
+  SCHEDULE_RUNS_KEY,
+  createScheduleId,
+  getHistoryKey,
+  buildSchedule,
+  computeNextRun,
+  startScheduler,
+};
@@ -8,12 +8,34 @@ const bodyParser = require("body-parser");
 
 const jobRoutes = require("./routes/jobRoutes");
 const workerRoutes = require("./routes/workerRoutes");
+const scheduleRoutes = require("./routes/scheduleRoutes");
+const deadLetterRoutes = require("./routes/deadLetterRoutes");
+const jobTypeRoutes = require("./routes/jobTypeRoutes");
+const batchRoutes = require("./routes/batchRoutes");
+const rateLimitRoutes = require("./routes/rateLimitRoutes");
+const retentionRoutes = require("./routes/retentionRoutes");
+const metricsRoutes = require("./routes/metricsRoutes");
+const apiKeyRoutes = require("./routes/apiKeyRoutes");
+const tenantRoutes = require("./routes/tenantRoutes");
+const { authenticate } = require("./controllers/authController");
+const { startScheduler } = require("./scheduler");
+const { startWebhookDispatcher } = require("./webhooks");
 
 const app = express();
 
 // Middleware
-app.use(bodyParser.json());
-app.use(cors());
+// Batches of thousands of jobs exceed the default 100kb
+app.use(bodyParser.json({ limit: "10mb" }));
+// Browser origins allowed to call the API, none without a list
+app.use(
+  cors({
+    origin: process.env.CORS_ORIGINS
+      ? process.env.CORS_ORIGINS.split(",").map((origin) => origin.trim())
+      : false,
+  })
+);
+// Every route needs an API key, the routes check its scope and tenant
+app.use(authenticate);
 
 // Routes
 app.use("/api/jobs", jobRoutes);
@@ -21,9 +43,42 @@ app.use("/api/jobs", jobRoutes);
 // Worker Routes
 app.use("/api/workers", workerRoutes);
 
+// Schedule Routes
+app.use("/api/schedules", scheduleRoutes);
+
+// Dead Letter Queue Routes
+app.use("/api/dead-letter", deadLetterRoutes);
+
+// Job Type Routes
+app.use("/api/job-types", jobTypeRoutes);
+
+// Batch Routes
+app.use("/api/batches", batchRoutes);
+
+// Rate Limit Routes
+app.use("/api/rate-limits", rateLimitRoutes);
+
+// Retention Routes
+app.use("/api/retention", retentionRoutes);
+
+// Metrics Routes
+app.use("/metrics", metricsRoutes);
+
+// API Key Routes
+app.use("/api/api-keys", apiKeyRoutes);
+
+// Tenant Routes
+app.use("/api/tenants", tenantRoutes);
+
 // Start server
 const PORT = process.env.PORT || 4000;
 
 app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
 });
+
+// Fire recurring schedules, only the elected leader instance enqueues jobs
+startScheduler();
+
+// Send job webhooks, every instance takes a share of the due deliveries
+startWebhookDispatcher();
@@ -0,0 +1,71 @@
+const redis = require("./redisClient");
+const { getTenantStatsKey } = require("./jobState");
+
+// Jobs, batches and queues of a tenant are kept under the prefix
+// tenant:<tenant>:, e.g. tenant:acme:job:<uuid> on the queue
+// tenant:acme:normal_jobs. Jobs without a tenant keep the plain keys.
+const getTenantPrefix = (tenant) => (tenant ? `tenant:${tenant}:` : "");
+
+// Hash of the most unfinished jobs each tenant may have, enforced by the
+// enqueue script, see lua/enqueue.lua
+const TENANT_QUOTAS_KEY = "tenant_quotas";
+
+// A job counts against its tenant's quota while it is in one of these,
+// the same as UNFINISHED_STATUSES in lua/helpers.lua
+const QUEUED_STATUSES = [
+  "WAITING",
+  "SCHEDULED",
+  "PENDING",
+  "PROCESSING",
+  "RETRY_SCHEDULED",
+];
+
+// Check a tenant quota sent to the API.
+// Throws an Error with a message meant for the client on invalid input.
+const validateQuota = ({ maxQueuedJobs } = {}) => {
+  if (!Number.isInteger(maxQueuedJobs) || maxQueuedJobs < 1) {
+    throw new Error("maxQueuedJobs must be a positive integer");
+  }
+
+  return { maxQueuedJobs };
+};
+
+// Quotas apply to jobs enqueued from now on, jobs over it are kept
+const setTenantQuota = async (tenant, { maxQueuedJobs }) => {
+  await redis.hset(TENANT_QUOTAS_KEY, tenant, maxQueuedJobs);
+};
+
+// Resolves to false if the tenant had no quota
+const removeTenantQuota = async (tenant) => {
+  return (await redis.hdel(TENANT_QUOTAS_KEY, tenant)) === 1;
+};
+
+// Unfinished jobs of a tenant, counted the way its quota is
+const countQueuedJobs = async (tenant) => {
+  const counts = await redis.hmget(
+    getTenantStatsKey(tenant),
+    ...QUEUED_STATUSES
+  );
+  return counts.reduce((sum, count) => sum + parseInt(count || 0, 10), 0);
+};
+
+// Every tenant with a quota and how much of it is used
+const listTenantQuotas = async () => {
+  const quotas = await redis.hgetall(TENANT_QUOTAS_KEY);
+
+  return Promise.all(
+    Object.entries(quotas).map(async ([tenant, maxQueuedJobs]) => ({
+      tenant,
+      maxQueuedJobs: Number(maxQueuedJobs),
+      queuedJobs: await countQueuedJobs(tenant),
+    }))
+  );
+};
+
+module.exports = {
+  getTenantPrefix,
+  validateQuota,
+  setTenantQuota,
+  removeTenantQuota,
+  listTenantQuotas,
+};
@@ -0,0 +1,302 @@
+const crypto = require("crypto");
+const dns = require("dns").promises;
+const net = require("net");
+
+const redis = require("./redisClient");
+const { computeRetryDelay } = require("./retryPolicy");
+
+// Sorted set of webhook deliveries, scored by their next attempt time.
+// Deliveries are queued by the job scripts, see lua/helpers.lua.
+const WEBHOOK_DELIVERIES_KEY = "webhook_deliveries";
+
+// Per job list of its delivery ids, newest first
+const getDeliveryLogKey = (jobId) => `${jobId}:webhooks`;
+
+// completed: the job completed
+// retrying: an attempt failed and a retry is scheduled
+// failed: the job failed or timed out for good, or a dependency failed
+// cancelled: the job, or a dependency of it, was cancelled
+// dead_lettered: the job failed for good and moved to the dead letter
+// queue, sent after failed
+const WEBHOOK_EVENTS = [
+  "completed",
+  "retrying",
+  "failed",
+  "cancelled",
+  "dead_lettered",
+];
+
+// Retries of a delivery the endpoint did not accept
+const WEBHOOK_RETRY_POLICY = {
+  backoff: "exponential",
+  delay: 5000,
+  maxDelay: 60 * 60 * 1000,
+  jitter: true,
+};
+const MAX_DELIVERY_ATTEMPTS = 8;
+
+const DELIVERY_TIMEOUT = 10000;
+
+// A leased delivery comes due again after this long
+const DELIVERY_LEASE = 3 * DELIVERY_TIMEOUT;
+
+// How many due deliveries are sent per pass
+const DISPATCH_BATCH_SIZE = 20;
+
+// Networks webhooks are never sent to, so a callbackUrl cannot reach into
+// the service's own network: loopback, private and link-local addresses,
+// e.g. the cloud metadata service at 169.254.169.254
+const BLOCKED_NETWORKS = new net.BlockList();
+[
+  ["0.0.0.0", 8, "ipv4"],
+  ["10.0.0.0", 8, "ipv4"],
+  ["100.64.0.0", 10, "ipv4"],
+  ["127.0.0.0", 8, "ipv4"],
+  ["169.254.0.0", 16, "ipv4"],
+  ["172.16.0.0", 12, "ipv4"],
+  ["192.168.0.0", 16, "ipv4"],
+  ["::", 128, "ipv6"],
+  ["::1", 128, "ipv6"],
+  ["fc00::", 7, "ipv6"],
+  ["fe80::", 10, "ipv6"],
+].forEach(([network, prefix, type]) =>
+  BLOCKED_NETWORKS.addSubnet(network, prefix, type)
+);
+
+const isBlockedAddress = (address) => {
+  // IPv4 addresses written as IPv6, e.g. ::ffff:127.0.0.1
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isBlockedAddress(mapped[1]);
+
+  return BLOCKED_NETWORKS.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+};
+
+// Host of a URL as DNS knows it, without the brackets of IPv6 addresses
+const getHost = (url) => url.hostname.replace(/^\[(.*)\]$/, "$1");
+
+// Refuse to send to a host that resolves to a blocked address. Checked on
+// every attempt, a host may resolve differently by then.
+const checkDestination = async (url) => {
+  const host = getHost(new URL(url));
+  const addresses = await dns.lookup(host, { all: true });
+
+  if (addresses.some(({ address }) => isBlockedAddress(address))) {
+    throw new Error(`${host} resolves to a private address`);
+  }
+};
+
+// Check the callback options of an enqueue request.
+// Throws an Error with a message meant for the client on invalid input.
+const validateCallback = ({ callbackUrl, callbackEvents }) => {
+  if (callbackUrl === undefined) {
+    if (callbackEvents !== undefined) {
+      throw new Error("callbackEvents requires a callbackUrl");
+    }
+    return null;
+  }
+
+  if (!process.env.WEBHOOK_SECRET) {
+    throw new Error("Webhooks are not configured on this server");
+  }
+
+  let url;
+  try {
+    url = new URL(callbackUrl);
+  } catch (error) {
+    throw new Error(`Invalid callbackUrl "${callbackUrl}"`);
+  }
+
+  if (!["http:", "https:"].includes(url.protocol)) {
+    throw new Error("callbackUrl must be an http or https URL");
+  }
+
+  // Hosts are resolved again when the webhook is sent
+  const host = getHost(url);
+  if (
+    host === "localhost" ||
+    host.endsWith(".localhost") ||
+    (net.isIP(host) && isBlockedAddress(host))
+  ) {
+    throw new Error("callbackUrl must not point to a private address");
+  }
+
+  const events = callbackEvents === undefined ? WEBHOOK_EVENTS : callbackEvents;
+  if (
+    !Array.isArray(events) ||
+    events.length === 0 ||
+    events.some((event) => !WEBHOOK_EVENTS.includes(event))
+  ) {
+    throw new Error(
+      `callbackEvents must be a list of ${WEBHOOK_EVENTS.join(", ")}`
+    );
+  }
+
+  return { callbackUrl: url.toString(), callbackEvents: [...new Set(events)] };
+};
+
+// HMAC-SHA256 over "<timestamp>.<body>" with the shared secret. Receivers
+// recompute it and reject old timestamps to stop replays.
+const signPayload = (body, timestamp) => {
+  return crypto
+    .createHmac("sha256", process.env.WEBHOOK_SECRET || "")
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+};
+
+// Send one delivery and record the outcome, scheduling a retry if the
+// endpoint did not accept it
+const deliverWebhook = async (deliveryId) => {
+  const delivery = await redis.hgetall(deliveryId);
+
+  if (!delivery.url) {
+    await redis.zrem(WEBHOOK_DELIVERIES_KEY, deliveryId);
+    return;
+  }
+
+  const attempt = parseInt(delivery.attempts || 0, 10) + 1;
+  const timestamp = Date.now();
+  let responseStatus = "";
+  let error = null;
+
+  try {
+    await checkDestination(delivery.url);
+
+    // Redirects are not followed, they could lead to a blocked address
+    const response = await fetch(delivery.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-Webhook-Id": deliveryId,
+        "X-Webhook-Event": delivery.event,
+        "X-Webhook-Timestamp": String(timestamp),
+        "X-Webhook-Signature": `sha256=${signPayload(
+          delivery.payload,
+          timestamp
+        )}`,
+      },
+      body: delivery.payload,
+      redirect: "manual",
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT),
+    });
+
+    responseStatus = response.status;
+    if (!response.ok) {
+      error = `Endpoint responded with ${response.status}`;
+    }
+  } catch (requestError) {
+    error = requestError.message;
+  }
+
+  const fields = {
+    attempts: attempt,
+    last_attempt_at: timestamp,
+    response_status: responseStatus,
+  };
+  const transaction = redis.multi();
+
+  if (!error) {
+    fields.status = "DELIVERED";
+    fields.delivered_at = timestamp;
+    transaction.zrem(WEBHOOK_DELIVERIES_KEY, deliveryId);
+    console.log(`Webhook ${deliveryId} delivered to ${delivery.url}`);
+  } else if (attempt >= MAX_DELIVERY_ATTEMPTS) {
+    fields.status = "FAILED";
+    fields.last_error = error;
+    transaction.zrem(WEBHOOK_DELIVERIES_KEY, deliveryId);
+    console.error(`Webhook ${deliveryId} failed for good: ${error}`);
+  } else {
+    fields.status = "RETRYING";
+    fields.last_error = error;
+    fields.next_attempt_at =
+      timestamp + computeRetryDelay(WEBHOOK_RETRY_POLICY, attempt);
+    transaction.zadd(
+      WEBHOOK_DELIVERIES_KEY,
+      fields.next_attempt_at,
+      deliveryId
+    );
+    console.error(`Webhook ${deliveryId} attempt ${attempt} failed: ${error}`);
+  }
+
+  await transaction.hset(deliveryId, fields).exec();
+};
+
+// Send every delivery that is due, leased so that API instances running
+// side by side never send the same attempt twice
+const dispatchDueWebhooks = async () => {
+  try {
+    const now = Date.now();
+    const deliveryIds = await redis.webhookClaim(
+      WEBHOOK_DELIVERIES_KEY,
+      now,
+      now + DELIVERY_LEASE,
+      DISPATCH_BATCH_SIZE
+    );
+
+    await Promise.all(
+      deliveryIds.map((deliveryId) =>
+        deliverWebhook(deliveryId).catch((error) =>
+          console.error(`Error delivering webhook ${deliveryId}:`, error)
+        )
+      )
+    );
+  } catch (error) {
+    console.error("Error in webhook dispatcher:", error);
+  }
+};
+
+// Delivery log of a job, newest first
+const listDeliveries = async (jobId) => {
+  const deliveryIds = await redis.lrange(getDeliveryLogKey(jobId), 0, -1);
+
+  const pipeline = redis.pipeline();
+  deliveryIds.forEach((deliveryId) => pipeline.hgetall(deliveryId));
+  const results = deliveryIds.length > 0 ? await pipeline.exec() : [];
+
+  return results
+    .map(([, delivery], index) => ({
+      deliveryId: deliveryIds[index],
+      delivery,
+    }))
+    .filter(({ delivery }) => delivery && delivery.url)
+    .map(({ deliveryId, delivery }) => ({
+      deliveryId,
+      ...delivery,
+      payload: JSON.parse(delivery.payload),
+    }));
+};
+
+// Queue a delivery of a job again with a fresh attempt budget.
+// Resolves to false if the delivery does not belong to the job.
+const redeliverWebhook = async (jobId, deliveryId) => {
+  const owner = await redis.hget(deliveryId, "job_id");
+  if (owner !== jobId) return false;
+
+  const now = Date.now();
+  await redis
+    .multi()
+    .hset(deliveryId, {
+      status: "PENDING",
+      attempts: 0,
+      next_attempt_at: now,
+      redelivered_at: now,
+    })
+    .zadd(WEBHOOK_DELIVERIES_KEY, now, deliveryId)
+    .exec();
+
+  return true;
+};
+
+// Send due webhook deliveries every second
+const startWebhookDispatcher = () => {
+  console.log("Starting webhook dispatcher...");
+  setInterval(dispatchDueWebhooks, 1000);
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  validateCallback,
+  signPayload,
+  listDeliveries,
+  redeliverWebhook,
+  startWebhookDispatcher,
+};
@@ -1,15 +1,89 @@
+require("./tracing");
+
+const os = require("os");
 const redis = require("./redisClient");
 const { v4: uuidv4 } = require("uuid");
+const { getHandler } = require("./handlers");
+const { getInflightKey, reapStaleJobs } = require("./reaper");
+const { sweepExpiredJobs } = require("./retention");
+const { timeoutError, reapTimedOutJobs } = require("./jobTimeouts");
+const { traceJobAttempt, recordAttemptFailure } = require("./jobTracing");
+const {
+  recordHeartbeat,
+  removeWorker,
+  isDrainRequested,
+} = require("./workerRegistry");
+const {
+  claimNextJob,
+  updateProgress,
+  completeJob,
+  failJob,
+  releaseJob,
+  promoteDueJobs,
+} = require("./jobState");
+const { getClaimOrder, parseQueueList, weightedOrder } = require("./queues");
 
 const workerId = `worker:${uuidv4()}`;
-const queueName = process.argv[2] || "normal_jobs";
+
+// Queues to consume, e.g. "high_priority_jobs,normal_jobs" for strict
+// priority or "high_priority_jobs=3,normal_jobs=1" for weighted sharing.
+// Without a list the worker consumes every registered queue by priority.
+const queueSpec = process.argv[2] || process.env.WORKER_QUEUES || "";
+const queueList = parseQueueList(queueSpec);
+const isWeighted = queueList.some((queue) => queue.weight !== null);
+
+// Seconds to wait on the first queue when every queue is empty
+const IDLE_BLOCK_TIMEOUT = 1;
+
+// Milliseconds a slot waits after an unexpected error before it goes on
+const SLOT_ERROR_BACKOFF = 1000;
+
+// Number of jobs this process runs at the same time
+const CONCURRENCY = parseInt(process.env.WORKER_CONCURRENCY || 1, 10);
+if (!Number.isInteger(CONCURRENCY) || CONCURRENCY < 1) {
+  throw new Error("WORKER_CONCURRENCY must be a positive integer");
+}
+
+// The autoscaler drains workers by the id of the instance they run on
+const instanceId = process.env.INSTANCE_ID || os.hostname();
+
+// How long a stopping worker waits for its current job before handing it
+// back to the queue
+const SHUTDOWN_TIMEOUT = parseInt(
+  process.env.WORKER_SHUTDOWN_TIMEOUT || 25000,
+  10
+);
+
+// Set once SIGTERM or SIGINT is received, no new jobs are taken after it
+let shuttingDown = false;
+
+// Set while the autoscaler asks this worker's instance to drain
+let draining = false;
+
+// One slot per job run at the same time, holding the id of its job
+const slots = Array.from({ length: CONCURRENCY }, () => ({ jobId: null }));
+
+const getBusySlots = () => slots.filter((slot) => slot.jobId);
+
+// Jobs taken by this worker are parked here until they are finished
+const inflightKey = getInflightKey(workerId);
+
+// Blocking waits need their own connection so heartbeats are not held up
+const blockingRedis = redis.duplicate();
+
+// Idle slots share one blocking wait, so a worker needs a single blocking
+// connection whatever its concurrency
+let idleWait = null;
 
 // FUNCTION TO UPDATE JOB PROGRESS
 async function updateJobProgress(jobId, progress) {
   try {
     console.log({ jobId, progress });
-    await redis.hset(jobId, "progress", progress.toString());
-    console.log(`Job ${jobId} progress updated to ${progress}%`);
+    if (await updateProgress(jobId, progress.toString())) {
+      console.log(`Job ${jobId} progress updated to ${progress}%`);
+    } else {
+      console.log(`Job ${jobId} is no longer processing, progress ignored`);
+    }
   } catch (error) {
     console.error(`Error updating job progress: ${error}`);
   }
@@ -20,100 +94,304 @@ async function isJobCancelled(jobId) {
   return jobDetails.status === "CANCELLED";
 }
 
-// FUNCTION TO PROCESS A SINGLE JOB
-async function processJob(queueName) {
-  const jobId = await redis.brpop(queueName, 0);
-  if (jobId) {
-    const jobKey = jobId[1];
-    console.log(`Retrieved Job: ${jobKey}`);
+// Apply the retry policy to a failed job and release it in one step
+async function handleFailedJob(jobKey, jobDetails, error, options) {
+  const outcome = await failJob(
+    jobKey,
+    inflightKey,
+    jobDetails,
+    error,
+    options
+  );
+  recordAttemptFailure(error, outcome);
 
-    // Fetch the job details from Redis
-    const jobDetails = await redis.hgetall(jobKey);
+  if (!outcome) {
+    console.log(`Job ${jobKey} is no longer ours, failure ignored`);
+  } else if (outcome.status !== "RETRY_SCHEDULED") {
+    console.log(`Job ${jobKey} moved to dead letter queue`);
+  } else {
+    console.log(
+      `Retry ${outcome.retries} of job ${jobKey} scheduled for ${new Date(
+        outcome.nextAttemptAt
+      ).toISOString()}`
+    );
+  }
+}
 
-    // Check Dependencies of the Job
-    const dependencies = await redis.smembers(`${jobKey}:dependencies`);
+// Settle like the handler run, or fail once the job's timeout has passed
+// since it was claimed, aborting the handler's signal. A handler that
+// ignores the signal keeps running but its outcome is ignored.
+function runWithTimeout(run, jobDetails, controller) {
+  const timeout = parseInt(jobDetails.timeout, 10);
+  if (!timeout) return run;
 
-    if (dependencies.length > 0) {
-      console.log(`Job ${jobKey} is waiting for dependencies: `, dependencies);
-      await redis.lpush(queueName, jobKey);
-      return;
-    }
+  const remaining = Number(jobDetails.started_at) + timeout - Date.now();
+  let timer;
+  const expired = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = timeoutError(timeout);
+      controller.abort(error);
+      reject(error);
+    }, Math.max(remaining, 0));
+  });
 
-    // Check if the job is cancelled
-    if (jobDetails.status === "CANCELLED") {
-      console.log(`Job ${jobKey} is cancelled. Skipping.`);
-      return;
-    }
+  return Promise.race([run, expired]).finally(() => clearTimeout(timer));
+}
 
-    await redis.hset(jobKey, "status", "PROCESSING");
+// Order in which the queues are tried for the next job
+async function getQueueOrder() {
+  if (queueList.length === 0) {
+    return getClaimOrder();
+  }
 
-    try {
-      console.log(`Processing Job: ${jobKey}`);
-
-      // Simulate job progress in steps
-      for (let progress = 0; progress <= 100; progress += 10) {
-        // Check if the job is cancelled mid progress
-        if (await isJobCancelled(jobKey)) {
-          console.log(`Job ${jobKey} cancelled mid-progress. Stopping.`);
-          await redis.hset(jobKey, "status", "CANCELLED");
-          return;
-        }
+  if (isWeighted) {
+    return weightedOrder(
+      queueList.map(({ name, weight }) => ({ name, weight: weight ?? 1 }))
+    );
+  }
 
-        await updateJobProgress(jobKey, progress);
-        await new Promise((resolve) => setTimeout(resolve, 1000));
-      }
+  return queueList.map((queue) => queue.name);
+}
 
-      await redis.hset(jobKey, {
-        status: "COMPLETED",
-        result: `Success Result of Job ${jobKey} `,
-      });
+// Take the next job for a slot from the first non-empty queue, moving it
+// atomically into the in-flight list so it survives a crash
+async function claimJob(slot) {
+  const queueOrder = await getQueueOrder();
 
-      // Notify dependent jobs
-      const dependents = await redis.smembers(`${jobKey}:dependents`);
-      for (const dependent of dependents) {
-        await redis.srem(`${dependent}:dependencies`, jobKey);
-        console.log(`Notified dependent job ${dependent}`);
+  const claimed = await claimNextJob(inflightKey, workerId, queueOrder);
+  if (claimed) {
+    slot.jobId = claimed.jobId;
+    return claimed.jobId;
+  }
+
+  // Nothing to do, wait briefly for work on the leading queue. Moving the
+  // tail of a list onto itself leaves the list as it is, the job is
+  // claimed by the script on the next pass.
+  if (!idleWait) {
+    idleWait = blockingRedis
+      .blmove(
+        queueOrder[0],
+        queueOrder[0],
+        "RIGHT",
+        "RIGHT",
+        IDLE_BLOCK_TIMEOUT
+      )
+      .finally(() => (idleWait = null));
+  }
+  await idleWait;
+  return null;
+}
+
+// FUNCTION TO PROCESS A SINGLE JOB
+async function processJob(slot) {
+  const jobKey = await claimJob(slot);
+
+  if (jobKey) {
+    console.log(`Retrieved Job: ${jobKey}`);
+
+    // Fetch the job details from Redis, the claim already marked it as
+    // processing
+    const jobDetails = await redis.hgetall(jobKey);
+
+    // Continue the trace the job was enqueued in
+    await traceJobAttempt(jobKey, jobDetails, async () => {
+      // Look up the handler registered for this job type
+      const handler = getHandler(jobDetails.type);
+
+      if (!handler) {
+        const error = new Error(
+          `No handler registered for job type "${jobDetails.type}"`
+        );
+        console.error(`Job ${jobKey} failed: ${error.message}`);
+        await handleFailedJob(jobKey, jobDetails, error, { retryable: false });
+        return;
       }
-    } catch (error) {
-      console.error(`Job ${jobKey} failed: `, error);
-      const retries = await redis.hincrby(jobKey, "retries", 1);
-
-      if (retries >= 3) {
-        await redis.hset(jobKey, "status", "FAILED");
-        await redis.lpush("dead_letter_queue", jobKey);
-        console.log(`Job ${jobKey} moved to dead letter queue`);
-      } else {
-        console.log(`Retrying job ${jobKey}`);
-        await redis.lpush(queueName, jobKey);
+
+      try {
+        console.log(`Processing Job: ${jobKey}`);
+
+        const data = jobDetails.data ? JSON.parse(jobDetails.data) : null;
+
+        const controller = new AbortController();
+        const result = await runWithTimeout(
+          handler(data, {
+            jobId: jobKey,
+            type: jobDetails.type,
+            reportProgress: (progress) => updateJobProgress(jobKey, progress),
+            isCancelled: () => isJobCancelled(jobKey),
+            signal: controller.signal,
+          }),
+          jobDetails,
+          controller
+        );
+
+        // Completing also releases dependent jobs that were only waiting on
+        // this one. It is refused if the job was cancelled meanwhile, or
+        // handed to another worker after this one was taken for dead.
+        if (!(await completeJob(jobKey, inflightKey, result))) {
+          console.log(`Job ${jobKey} is no longer ours, result ignored`);
+        }
+      } catch (error) {
+        console.error(`Job ${jobKey} failed: `, error);
+        await handleFailedJob(jobKey, jobDetails, error, {
+          timedOut: error.timedOut === true,
+        });
       }
-    }
+    });
   }
 }
 
+// Heartbeat status of the worker
+// ALIVE: taking jobs
+// DRAINING: asked to drain, finishing its current job
+// DRAINED: asked to drain and idle, the instance can be terminated
+// STOPPING: shutting down after a signal
+function getWorkerStatus() {
+  if (shuttingDown) return "STOPPING";
+  if (draining) return getBusySlots().length > 0 ? "DRAINING" : "DRAINED";
+  return "ALIVE";
+}
+
 // FUNCTION TO SEND WORKER HEARTBEAT
 async function sendHeartbeat() {
   try {
-    await redis.hmset(workerId, {
-      status: "ALIVE",
-      queue: queueName,
-      last_seen: Date.now(),
+    // A drain request can also be withdrawn when the autoscaler needs the
+    // instance again
+    const drainRequested = await isDrainRequested(instanceId);
+    if (drainRequested !== draining) {
+      draining = drainRequested;
+      console.log(
+        draining
+          ? `Instance ${instanceId} is draining, no new jobs are taken`
+          : `Drain of instance ${instanceId} withdrawn, taking jobs again`
+      );
+    }
+
+    await recordHeartbeat(workerId, {
+      status: getWorkerStatus(),
+      queue: queueList.map((queue) => queue.name).join(",") || "*",
+      instance_id: instanceId,
+      concurrency: CONCURRENCY,
+      busy_slots: getBusySlots().length,
+      current_jobs: getBusySlots()
+        .map((slot) => slot.jobId)
+        .join(","),
     });
-    // AUTO EXPIRE WORKER KEY AFTER 10 SECONDS IF NO HEARTBEAT
-    await redis.expire(workerId, 10);
     console.log(`Heartbeat sent for ${workerId}`);
   } catch (error) {
     console.error(`Error sending heartbeat: ${error}`);
   }
 }
 
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
 // Periodically send heartbeats every 5 seconds
-setInterval(sendHeartbeat, 5000);
+const heartbeatTimer = setInterval(sendHeartbeat, 5000);
+
+// Periodically return jobs held by dead workers every 10 seconds
+const reaperTimer = setInterval(reapStaleJobs, 10000);
+
+// Time out the jobs other workers did not report back on every 10 seconds
+const timeoutTimer = setInterval(
+  () =>
+    reapTimedOutJobs().catch((error) =>
+      console.error("Error timing out jobs:", error)
+    ),
+  10000
+);
+
+// Move delayed jobs that are due onto their queues every second
+const promoteTimer = setInterval(promoteDueJobs, 1000);
+
+// Remove finished jobs whose retention has run out every minute
+const sweepTimer = setInterval(
+  () =>
+    sweepExpiredJobs().catch((error) =>
+      console.error("Error sweeping expired jobs:", error)
+    ),
+  60000
+);
+
+// Take jobs into a slot until a signal arrives, idling while the instance
+// drains
+async function runSlot(slot) {
+  while (!shuttingDown) {
+    if (draining) {
+      await sleep(1000);
+      continue;
+    }
+
+    try {
+      await processJob(slot);
+    } catch (error) {
+      // Keep the slot running, e.g. through a Redis outage
+      console.error("Error in worker slot:", error);
+      await sleep(SLOT_ERROR_BACKOFF);
+    } finally {
+      slot.jobId = null;
+    }
+  }
+}
+
+const runWorker = () => Promise.all(slots.map(runSlot));
+
+// Unset until the first heartbeat went out, no job is running before that
+let workerLoop = null;
+
+// Stop taking jobs, give the running jobs until SHUTDOWN_TIMEOUT to finish
+// and hand the others back to their queue, then leave the registry.
+// A second signal exits right away, the reaper then recovers the jobs.
+async function shutdown(signal) {
+  if (shuttingDown) {
+    console.log(`${signal} received again, exiting immediately`);
+    process.exit(1);
+  }
+
+  shuttingDown = true;
+  console.log(`${signal} received, stopping worker ${workerId}`);
+  clearInterval(reaperTimer);
+  clearInterval(timeoutTimer);
+  clearInterval(promoteTimer);
+  clearInterval(sweepTimer);
+
+  try {
+    const finished = await Promise.race([
+      Promise.resolve(workerLoop).then(() => true),
+      sleep(SHUTDOWN_TIMEOUT).then(() => false),
+    ]);
+
+    if (!finished) {
+      for (const { jobId } of getBusySlots()) {
+        if (await releaseJob(jobId, inflightKey)) {
+          console.log(`Job ${jobId} did not finish in time, requeued`);
+        }
+      }
+    }
+
+    clearInterval(heartbeatTimer);
+    await removeWorker(workerId);
+    console.log(`Worker ${workerId} stopped`);
+    process.exit(0);
+  } catch (error) {
+    console.error("Error during shutdown:", error);
+    process.exit(1);
+  }
+}
+
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
 
 // Worker Execution
 (async () => {
-  console.log(`Worker listening on queue: ${queueName}`);
+  console.log(
+    queueList.length > 0
+      ? `Worker listening on queues: ${queueSpec}`
+      : "Worker listening on all registered queues",
+    `with ${CONCURRENCY} slot(s)`
+  );
 
-  while (true) {
-    await processJob(queueName);
-  }
+  // Announce the worker before taking any job so it is never reaped as stale
+  await sendHeartbeat();
+
+  workerLoop = runWorker();
 })();
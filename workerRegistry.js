@@ -0,0 +1,79 @@
+const redis = require("./redisClient");
+
+// Sorted set of every worker seen recently, scored by its last heartbeat
+const WORKER_REGISTRY_KEY = "workers";
+
+// A worker without a heartbeat for this long is considered dead
+const WORKER_TIMEOUT = 10000;
+
+// Dead workers are listed for this long before they are dropped
+const WORKER_RETENTION = 60 * 60 * 1000;
+
+// Set of instance ids the autoscaler wants to terminate. Their workers stop
+// taking jobs and report DRAINED once their current job is done.
+const DRAINING_INSTANCES_KEY = "draining_instances";
+
+// Store a worker's heartbeat and keep it in the registry
+const recordHeartbeat = async (workerId, fields) => {
+  const now = Date.now();
+
+  await redis
+    .multi()
+    .hmset(workerId, { ...fields, last_seen: now })
+    // AUTO EXPIRE WORKER KEY IF NO HEARTBEAT
+    .expire(workerId, WORKER_TIMEOUT / 1000)
+    .zadd(WORKER_REGISTRY_KEY, now, workerId)
+    .zremrangebyscore(WORKER_REGISTRY_KEY, "-inf", now - WORKER_RETENTION)
+    // Register the worker so the reaper can find its in-flight list
+    .sadd("inflight_workers", workerId)
+    .exec();
+};
+
+// Drop a worker that shut down cleanly, its in-flight list is empty
+const removeWorker = async (workerId) => {
+  await redis
+    .multi()
+    .del(workerId)
+    .zrem(WORKER_REGISTRY_KEY, workerId)
+    .srem("inflight_workers", workerId)
+    .exec();
+};
+
+const isDrainRequested = async (instanceId) => {
+  return (await redis.sismember(DRAINING_INSTANCES_KEY, instanceId)) === 1;
+};
+
+// Every registered worker with its last heartbeat, newest first.
+// Workers whose key has expired are reported with an empty hash.
+const listWorkers = async () => {
+  const entries = await redis.zrevrange(
+    WORKER_REGISTRY_KEY,
+    0,
+    -1,
+    "WITHSCORES"
+  );
+  const workers = [];
+
+  for (let i = 0; i < entries.length; i += 2) {
+    workers.push({ workerId: entries[i], lastSeen: Number(entries[i + 1]) });
+  }
+
+  const pipeline = redis.pipeline();
+  workers.forEach(({ workerId }) => pipeline.hgetall(workerId));
+  const results = workers.length > 0 ? await pipeline.exec() : [];
+
+  return workers.map((worker, index) => ({
+    ...worker,
+    details: results[index][1] || {},
+  }));
+};
+
+module.exports = {
+  WORKER_REGISTRY_KEY,
+  WORKER_TIMEOUT,
+  DRAINING_INSTANCES_KEY,
+  recordHeartbeat,
+  removeWorker,
+  isDrainRequested,
+  listWorkers,
+};